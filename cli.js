@@ -3,14 +3,30 @@
 
 const yargs = require("yargs/yargs");
 const publishCommand = require('./command');
-const publish = require('.');
+const { publishCurrentVersion } = require('.');
 
 const cli = yargs(process.argv.slice(2), process.cwd());
 
 const command = publishCommand.builder(cli);
+const { argv } = command;
 
-const pub = new publish.PublishCommand(command.argv);
+// positionals are only named for registered commands, so pick up [bump] and [dir] ourselves
+if (argv.bump === undefined && argv._.length) {
+  argv.bump = String(argv._[0]);
+}
 
-pub
-    .then(() => console.log('Publish complete successfully...'))
-    .catch(e => console.error('Publish Failed...', e.message));
+if (argv.dir === undefined && argv._.length > 1) {
+  argv.dir = String(argv._[1]);
+}
+
+// with --json, stdout is reserved for the report
+const print = argv.json ? console.error : console.log;
+
+publishCurrentVersion(argv)
+    .then(() => print('Publish complete successfully...'))
+    .catch(e => {
+        console.error('Publish Failed...', e.message);
+
+        // failed child processes carry their own exit code
+        process.exitCode = e.code > 0 ? e.code : 1;
+    });
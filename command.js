@@ -5,12 +5,20 @@ const log = require("npmlog");
 /**
  * @see https://github.com/yargs/yargs/blob/master/docs/advanced.md#providing-a-command-module
  */
-exports.command = "publishCurrentVersion [bump]";
+exports.command = "publishCurrentVersion [bump] [dir]";
 
 exports.describe = "Publish packages in the current project for the current version.";
 
 exports.builder = yargs => {
   const opts = {
+    "allow-downgrade": {
+      describe: "Allow publishing or moving a dist-tag to a version lower than the one it points at.",
+      type: "boolean",
+    },
+    "allow-prerelease-latest": {
+      describe: "Allow publishing or moving a prerelease version to the 'latest' dist-tag.",
+      type: "boolean",
+    },
     c: {
       describe: "Publish packages after every successful merge using the sha as part of the tag.",
       alias: "canary",
@@ -34,14 +42,106 @@ exports.builder = yargs => {
       type: "string",
       requiresArg: true,
     },
+    "dry-run": {
+      describe: "Pack every package and report what would be published, without publishing anything.",
+      type: "boolean",
+    },
+    "fail-on-existing": {
+      describe: "Fail instead of skipping packages whose current version is already published.",
+      type: "boolean",
+    },
+    from: {
+      describe: "With 'dist-tag', the dist-tag whose versions are moved, instead of the local versions.",
+      type: "string",
+      requiresArg: true,
+    },
     "git-head": {
       describe:
         "Explicit SHA to set as gitHead when packing tarballs, only allowed with 'from-package' positional.",
       type: "string",
       requiresArg: true,
     },
+    "git-push-tags": {
+      describe: "Push the tags created by --git-tag-published to the given remote.",
+      type: "string",
+      requiresArg: true,
+    },
+    "git-tag-format": {
+      describe: "Format of the tags created by --git-tag-published, with {name} and {version} placeholders.",
+      type: "string",
+      requiresArg: true,
+    },
+    "git-tag-published": {
+      describe: "Create an annotated git tag for each package version that was published.",
+      type: "boolean",
+    },
+    hooks: {
+      describe: "Module exporting beforePack, afterPack, beforePublish, afterPublish and afterAll hooks.",
+      type: "string",
+      requiresArg: true,
+    },
+    "include-dependents": {
+      describe: "With --since, also publish the packages that depend on a changed package.",
+      type: "boolean",
+    },
+    "include-unpublished-dependencies": {
+      describe:
+        "Publish local dependencies that are neither on the registry nor selected, instead of failing.",
+      type: "boolean",
+    },
+    json: {
+      describe: "Print a JSON report of every package's publish outcome to stdout.",
+      type: "boolean",
+    },
+    "report-file": {
+      describe: "Write a JSON report of every package's publish outcome to the given path.",
+      type: "string",
+      requiresArg: true,
+    },
+    otp: {
+      describe: "Supply a one-time password for publishing with two-factor authentication.",
+      type: "string",
+      requiresArg: true,
+    },
+    "out-dir": {
+      describe: "Directory to write tarballs and their manifest to, with --pack-only.",
+      type: "string",
+      requiresArg: true,
+    },
+    "pack-only": {
+      describe: "Pack every package into --out-dir, for a later `publish-packed <dir>`, without publishing.",
+      type: "boolean",
+    },
+    "on-failure": {
+      describe: "What to do with already-published versions when a later package fails to publish.",
+      choices: ["none", "deprecate", "unpublish", "retag"],
+      defaultDescription: "none",
+      requiresArg: true,
+    },
+    "prerelease-dist-tag": {
+      describe: "Publish prerelease versions that would go to 'latest' under this dist-tag instead.",
+      type: "string",
+      requiresArg: true,
+    },
+    "publish-retries": {
+      describe: "Retries for a publish or dist-tag change that failed with a network or 5xx error.",
+      type: "number",
+      requiresArg: true,
+    },
+    "publish-retry-backoff": {
+      describe: "Milliseconds to wait before the first retry, doubled for each retry after it.",
+      type: "number",
+      requiresArg: true,
+    },
+    "range-policy": {
+      describe:
+        "Range for sibling dependencies (exact, caret, tilde, preserve-existing-operator), or type=policy.",
+      type: "string",
+      requiresArg: true,
+    },
     registry: {
-      describe: "Use the specified registry for all npm client operations.",
+      describe:
+        "Use the specified registry for all npm client operations, repeat it to mirror to more registries.",
       type: "string",
       requiresArg: true,
     },
@@ -58,6 +158,24 @@ exports.builder = yargs => {
       hidden: true,
       type: "boolean",
     },
+    resume: {
+      describe: "Resume a failed publish from its journal, reusing tarballs that were already packed.",
+      type: "boolean",
+    },
+    since: {
+      describe:
+        "Only publish packages changed since the given ref, or since the last release tag without one.",
+      type: "string",
+    },
+    "since-last-release": {
+      describe: "Only publish packages changed since the last release tag.",
+      type: "boolean",
+    },
+    to: {
+      describe: "With 'dist-tag', the dist-tag to move.",
+      type: "string",
+      requiresArg: true,
+    },
     "temp-tag": {
       describe: "Create a temporary tag while publishing.",
       type: "boolean",
@@ -76,11 +194,27 @@ exports.builder = yargs => {
       hidden: true,
       type: "boolean",
     },
-    // y: {
-    //   describe: "Skip all confirmation prompts.",
-    //   alias: "yes",
-    //   type: "boolean",
-    // },
+    "verify-published": {
+      describe:
+        "After publishing, wait until the registry serves each version with its dist-tag and integrity.",
+      type: "boolean",
+    },
+    "verify-published-backoff": {
+      describe:
+        "Milliseconds to wait before polling the registry again with --verify-published, doubled each time.",
+      type: "number",
+      requiresArg: true,
+    },
+    "verify-published-timeout": {
+      describe: "Milliseconds to keep polling the registry with --verify-published before failing.",
+      type: "number",
+      requiresArg: true,
+    },
+    y: {
+      describe: "Skip all confirmation prompts.",
+      alias: "yes",
+      type: "boolean",
+    },
   };
 
   yargs.options(opts);
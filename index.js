@@ -1,13 +1,18 @@
 "use strict";
 
+const EventEmitter = require("events");
 const os = require("os");
 const path = require("path");
 const crypto = require("crypto");
+const fs = require("fs-extra");
 const pFinally = require("p-finally");
 const pMap = require("p-map");
 const pPipe = require("p-pipe");
 const pReduce = require("p-reduce");
 const semver = require("semver");
+const npa = require("npm-package-arg");
+const { pickRegistry } = require("npm-registry-fetch");
+const { publish, unpublish } = require("libnpmpublish");
 
 const Command = require("@lerna/command");
 const ValidationError = require("@lerna/validation-error");
@@ -15,7 +20,6 @@ const describeRef = require("@lerna/describe-ref");
 const checkWorkingTree = require("@lerna/check-working-tree");
 const PromptUtilities = require("@lerna/prompt");
 const output = require("@lerna/output");
-const collectUpdates = require("@lerna/collect-updates");
 const npmConf = require("@lerna/npm-conf");
 const npmDistTag = require("@lerna/npm-dist-tag");
 const npmPublish = require("@lerna/npm-publish");
@@ -28,24 +32,149 @@ const pulseTillDone = require("@lerna/pulse-till-done");
 const { getFilteredPackages } = require("@lerna/filter-options");
 const PackageGraph = require("@lerna/package-graph");
 
+const confirmPublish = require("./lib/confirm-publish");
+const createPublishReport = require("./lib/create-publish-report");
 const createTempLicenses = require("./lib/create-temp-licenses");
+const getChangedFiles = require("./lib/get-changed-files");
 const getCurrentSHA = require("./lib/get-current-sha");
 const getCurrentTags = require("./lib/get-current-tags");
+const getDistTagPolicyViolation = require("./lib/get-dist-tag-policy-violation");
+const getExistingTags = require("./lib/get-existing-tags");
 const getUnpublishedPackages = require("./lib/get-unpublished-packages");
 const getNpmUsername = require("./lib/get-npm-username");
 const getTaggedPackages = require("./lib/get-tagged-packages");
 const getPackagesWithoutLicense = require("./lib/get-packages-without-license");
+const getRegistryVersion = require("./lib/get-registry-version");
 const gitCheckout = require("./lib/git-checkout");
+const gitPushTags = require("./lib/git-push-tags");
+const gitTag = require("./lib/git-tag");
+const lintPacked = require("./lib/lint-packed");
+const listDistTags = require("./lib/list-dist-tags");
+const npmDeprecate = require("./lib/npm-deprecate");
+const otplease = require("./lib/otplease");
+const PublishHooks = require("./lib/publish-hooks");
+const PublishJournal = require("./lib/publish-journal");
+const publishPackedDirectory = require("./lib/publish-packed-directory");
+const publishWithRetries = require("./lib/publish-with-retries");
+const PublishRun = require("./lib/publish-run");
+const rangePolicy = require("./lib/range-policy");
+const refExists = require("./lib/ref-exists");
 const removeTempLicenses = require("./lib/remove-temp-licenses");
+const resolveWorkspaceSpecs = require("./lib/resolve-workspace-specs");
+const verifyDistTagPolicy = require("./lib/verify-dist-tag-policy");
 const verifyNpmPackageAccess = require("./lib/verify-npm-package-access");
+const verifyPublished = require("./lib/verify-published");
+const withRetries = require("./lib/with-retries");
+const WorkspaceProject = require("./lib/workspace-project");
+const writePackedDirectory = require("./lib/write-packed-directory");
+const writePublishReport = require("./lib/write-publish-report");
 
 module.exports = factory;
 
+const ON_FAILURE_POLICIES = ["none", "deprecate", "unpublish", "retag"];
+
+const CANARY_BUMPS = ["major", "minor", "patch", "premajor", "preminor", "prepatch", "prerelease"];
+
+// dependency specs that consumers cannot install from a registry
+const NON_REGISTRY_SPEC = /^(?:file:|link:|workspace:|git\+|git:)/;
+
 function factory(argv) {
+  if (argv.bump === "publish-packed") {
+    // publishes the output of --pack-only, no project required
+    return publishPackedDirectory(argv.dir, argv);
+  }
+
   return new PublishCommand(argv);
 }
 
+/**
+ * @typedef {Object} PublishResult
+ * @property {Boolean} success
+ * @property {Boolean} dryRun
+ * @property {Object|null} error { code, message }
+ * @property {Object[]} packages every selected package, as in the --json report
+ * @property {Object[]} published the packages with status "published"
+ * @property {Object[]} skipped the packages with status "skipped", already on the registry
+ * @property {Object[]} failed the packages with status "failed" or "rolled-back"
+ */
+
+/**
+ * Publish in-process, with the same options as the CLI (camelCased)
+ * @param {Object} options e.g. { scope: "@scope/*", yes: true }
+ * @returns {PublishRun} a promise for the PublishResult, emitting progress events per package;
+ *   when it rejects, the error carries the PublishResult so far as error.result
+ */
+function publishCurrentVersion(options) {
+  const argv = Object.assign({ cwd: process.cwd() }, options);
+
+  return new PublishRun(events => {
+    if (argv.bump === "publish-packed") {
+      return publishPackedDirectory(argv.dir, argv, events);
+    }
+
+    const command = new PublishCommand(argv);
+
+    // the command has not started yet, so no event can be missed
+    command.events = events;
+
+    return command.then(
+      () => command.getPublishResult(),
+      error => {
+        // validation errors can happen before anything was selected
+        if (command.packagesToPublish) {
+          // eslint-disable-next-line no-param-reassign
+          error.result = command.getPublishResult(error);
+        }
+
+        throw error;
+      }
+    );
+  });
+}
+
 class PublishCommand extends Command {
+  constructor(argv) {
+    super(argv);
+
+    // progress events, replaced by publishCurrentVersion()
+    this.events = new EventEmitter();
+  }
+
+  configureEnvironment() {
+    // no lerna.json (nor a "lerna" key in package.json) was found, look for native workspaces instead
+    if (!fs.existsSync(this.project.rootConfigLocation)) {
+      const workspaceProject = WorkspaceProject.find(this.project.rootPath);
+
+      if (workspaceProject) {
+        this.project = workspaceProject;
+      }
+    }
+
+    return super.configureEnvironment();
+  }
+
+  runPreparations() {
+    // the same as @lerna/command, except that workspace: specs are resolved
+    // before building the package graph, since npm-package-arg cannot parse them
+    if (!this.composed && this.project.isIndependent()) {
+      this.logger.info("versioning", "independent");
+    }
+
+    if (!this.composed && this.options.ci) {
+      this.logger.info("ci", "enabled");
+    }
+
+    let chain = Promise.resolve();
+
+    chain = chain.then(() => this.project.getPackages());
+    chain = chain.then(packages => {
+      this.workspaceSpecs = resolveWorkspaceSpecs(packages);
+      this.packageGraph = new PackageGraph(packages);
+    });
+
+    return chain;
+  }
+
   get otherCommandConfigs() {
     // back-compat
     return ["version"];
@@ -65,19 +194,129 @@ class PublishCommand extends Command {
       this.logger.info("require-scripts", "enabled");
     }
 
-    if (!this.options.scope) {
-      throw new ValidationError("ENOSCRIPT", "--packages argument is required");
+    const { bump } = this.options;
+    const fromRelease = bump === "from-git" || bump === "from-package";
+
+    // moves the dist-tags of versions that are already published, publishes nothing
+    this.distTagMode = bump === "dist-tag";
+
+    if (bump && !fromRelease && !this.distTagMode && !this.options.canary) {
+      throw new ValidationError(
+        "EBUMP",
+        `Unknown positional "${bump}", expected 'from-git', 'from-package', 'dist-tag' or 'publish-packed'`
+      );
+    }
+
+    if (this.options.canary && fromRelease) {
+      throw new ValidationError("ECANARY", `--canary cannot be combined with the '${bump}' positional`);
+    }
+
+    if (this.options.canary && bump && !CANARY_BUMPS.includes(bump)) {
+      throw new ValidationError(
+        "ECANARY",
+        `Unknown canary bump "${bump}", expected one of ${CANARY_BUMPS.join(", ")}`
+      );
+    }
+
+    // what to do with the versions that did go out when a later package fails to publish
+    this.onFailure = this.options.onFailure || "none";
+
+    if (!ON_FAILURE_POLICIES.includes(this.onFailure)) {
+      throw new ValidationError(
+        "EONFAILURE",
+        `Unknown --on-failure policy "${this.onFailure}", expected one of ${ON_FAILURE_POLICIES.join(", ")}`
+      );
+    }
+
+    // transient registry failures are retried, with exponential backoff
+    this.retryOptions = withRetries.parseRetryOptions(this.options);
+
+    if (this.options.packOnly && !this.options.outDir) {
+      throw new ValidationError("EPACKONLY", "--pack-only requires --out-dir");
+    }
+
+    if (this.options.gitPushTags && !this.options.gitTagPublished) {
+      throw new ValidationError("EGITTAG", "--git-push-tags requires --git-tag-published");
+    }
+
+    // tags are parsed back by npm-package-arg in from-git, so "{name}@{version}" by default
+    this.gitTagFormat = this.options.gitTagFormat || "{name}@{version}";
+
+    if (this.options.gitTagPublished && !this.gitTagFormat.includes("{version}")) {
+      throw new ValidationError("EGITTAG", `--git-tag-format "${this.gitTagFormat}" must include {version}`);
+    }
+
+    if (this.options.resume && this.options.dryRun) {
+      throw new ValidationError("ERESUME", "--resume cannot be combined with --dry-run");
+    }
+
+    // a bare --since parses as "", which means the last release as well
+    this.sinceChanges = this.options.since !== undefined || Boolean(this.options.sinceLastRelease);
+
+    if (this.options.since && this.options.sinceLastRelease) {
+      throw new ValidationError("ESINCE", "--since <ref> cannot be combined with --since-last-release");
+    }
+
+    if (!this.options.scope && !this.sinceChanges && !fromRelease && !this.options.resume) {
+      throw new ValidationError(
+        "ENOSCRIPT",
+        "--scope argument is required, unless selecting with --since or publishing from-git or from-package"
+      );
+    }
+
+    if (this.options.includeDependents && !this.sinceChanges) {
+      throw new ValidationError("ESINCE", "--include-dependents requires --since or --since-last-release");
+    }
+
+    if (this.options.prereleaseDistTag === "latest") {
+      throw new ValidationError("EDISTTAG", "--prerelease-dist-tag must name a dist-tag other than 'latest'");
+    }
+
+    if (this.distTagMode && !this.options.to) {
+      throw new ValidationError("EDISTTAG", "'dist-tag' requires --to <tag>");
+    }
+
+    if (this.distTagMode && this.options.from === this.options.to) {
+      throw new ValidationError("EDISTTAG", "--from and --to must name different dist-tags");
     }
 
+    if (this.options.gitHead && bump !== "from-package") {
+      throw new ValidationError("EGITHEAD", "--git-head is only allowed with 'from-package' positional");
+    }
+
+    this.needsConfirmation = confirmPublish.needsConfirmation(this.options);
+
+    // shared by every registry write, so a one-time password is only asked for once
+    this.otpCache = { otp: this.options.otp };
+
+    // a broken project hook module fails the run before anything is selected
+    this.hooks = new PublishHooks(this.project.rootPath, this.options.hooks);
+
+    // per-package outcomes, consumed by the publish report
+    this.packagesToPublish = [];
+    this.publishStatus = new Map();
+    this.mirrorStatus = new Map();
+    this.gitTags = new Map();
+    this.skippedPackages = [];
+
+    // matches the tags created by `lerna version`
+    this.tagPrefix = this.options.tagVersionPrefix === undefined ? "v" : this.options.tagVersionPrefix;
+
     // https://docs.npmjs.com/misc/config#save-prefix
     this.savePrefix = this.options.exact ? "" : "^";
 
+    // validated up front, it is only consulted once the packages are packed
+    this.rangePolicy = rangePolicy(this.options.rangePolicy);
+
     // inverted boolean options are only respected if prefixed with `--no-`, e.g. `--no-verify-access`
     this.gitReset = this.options.gitReset !== false;
     this.verifyAccess = this.options.verifyAccess !== false;
 
     // npmSession and user-agent are consumed by npm-registry-fetch (via libnpmpublish)
     const npmSession = crypto.randomBytes(8).toString("hex");
+
+    // also names the run in rollback deprecation messages
+    this.npmSession = npmSession;
     const userAgent = `lerna/${this.options.lernaVersion}/node@${process.version}+${process.arch} (${
       process.platform
     })`;
@@ -89,7 +328,8 @@ class PublishCommand extends Command {
       lernaCommand: "publish",
       npmSession,
       npmVersion: userAgent,
-      registry: this.options.registry,
+      // --registry may be repeated, the first one is the primary registry
+      registry: [].concat(this.options.registry || [])[0],
     });
 
     this.conf.set("user-agent", userAgent, "cli");
@@ -124,11 +364,50 @@ class PublishCommand extends Command {
         }
       : stage => this.runPackageLifecycle(this.project.manifest, stage);
 
-    let chain = getFilteredPackages(this.packageGraph, this.execOpts, this.options);
+    if (this.distTagMode) {
+      return this.detectDistTagChanges().then(pkgs => {
+        if (!pkgs.length) {
+          this.logger.success("dist-tag", "No dist-tags to move");
+
+          return false;
+        }
+
+        this.batchedPackages = this.toposort
+          ? batchPackages(pkgs, this.options.rejectCycles, "dependencies")
+          : [pkgs];
+
+        return this.confirmDistTagChanges(pkgs);
+      });
+    }
+
+    // records the progress of each package, so a failed run can be resumed
+    this.journal = new PublishJournal(this.project.rootPath);
+    this.alreadyPublished = new Set();
+
+    let chain = Promise.resolve();
+
+    if (this.options.resume) {
+      chain = chain.then(() => this.detectFromJournal());
+    } else {
+      chain = chain.then(() => this.detectPackages());
+    }
+
+    chain = chain.then(pkgs => {
+      if (!pkgs.length) {
+        this.logger.success("No unpublished packages to publish");
+
+        if (this.options.json || this.options.reportFile) {
+          // an idempotent rerun still reports what it skipped
+          return this.writeReport().then(() => false);
+        }
+
+        // still exits zero, aka "ok"
+        return false;
+      }
 
-    return chain.then((pkgs) => {
-      this.packagesToPublish = pkgs.filter(pkg => !pkg.private);
+      this.packagesToPublish = pkgs;
       this.scopedPackages = this.packagesToPublish.map(pkg => this.packageGraph.get(pkg.name));
+      this.hooks.loadPackages(this.packagesToPublish);
 
       this.batchedPackages = this.toposort
         ? batchPackages(
@@ -141,208 +420,1142 @@ class PublishCommand extends Command {
           )
         : [this.packagesToPublish];
 
-      return true;
+      // publish-packed applies the dist-tag policy against the registry as it is at upload time
+      const verified = this.options.packOnly
+        ? Promise.resolve()
+        : this.verifyDistTagPolicy(this.packagesToPublish);
+
+      return verified.then(() => this.confirmPublish());
     });
+
+    if (this.options.json || this.options.reportFile) {
+      // a run that fails before publishing anything (e.g. EUNRESOLVED or EDISTTAG) is reported too
+      chain = chain.catch(error => this.writeReportOnError(error));
+    }
+
+    return chain;
   }
 
-  execute() {
-    this.enableProgressBar();
-    this.logger.info("publish", "Publishing packages to npm...");
+  confirmPublish() {
+    const message = this.packagesToPublish.map(pkg => {
+      const distTag = this.getPackageDistTag(pkg);
+      const registries = this.getPackageRegistries(pkg).join(", ");
 
-    let chain = Promise.resolve();
+      return ` - ${pkg.name}@${pkg.version} => ${distTag} (${registries})`;
+    });
 
-    chain = chain.then(() => this.prepareRegistryActions());
-    chain = chain.then(() => this.prepareLicenseActions());
-    chain = chain.then(() => this.verifyWorkingTreeClean());
+    return confirmPublish(message, { json: this.options.json, needsConfirmation: this.needsConfirmation });
+  }
 
-    if (this.options.canary) {
-      chain = chain.then(() => this.updateCanaryVersions());
-    }
+  detectPackages() {
+    const { bump } = this.options;
 
-    chain = chain.then(() => this.resolveLocalDependencyLinks());
-    chain = chain.then(() => this.annotateGitHead());
-    chain = chain.then(() => this.serializeChanges());
-    chain = chain.then(() => this.packUpdated());
-    chain = chain.then(() => this.publishPacked());
+    let chain = this.getSelectedPackages();
 
-    if (this.gitReset) {
-      chain = chain.then(() => this.resetChanges());
+    if (bump === "from-git") {
+      chain = chain.then(pkgs => this.detectFromGit(pkgs));
+    } else if (bump === "from-package") {
+      chain = chain.then(pkgs => this.detectFromPackage(pkgs));
+    } else {
+      // private packages are never published, full stop.
+      chain = chain.then(pkgs => pkgs.filter(pkg => !pkg.private));
     }
 
-    if (this.options.tempTag) {
-      chain = chain.then(() => this.npmUpdateAsLatest());
+    if (this.options.canary) {
+      chain = chain.then(pkgs => this.detectCanaryVersions(pkgs));
+      chain = chain.then(pkgs => this.verifyCanaryVersionsUnique(pkgs));
+    } else if (bump !== "from-package") {
+      // from-package has already dropped everything that is published
+      chain = chain.then(pkgs => this.skipPublishedPackages(pkgs));
     }
 
-    return chain.then(() => {
-      const count = this.packagesToPublish.length;
-      const message = this.packagesToPublish.map(pkg => ` - ${pkg.name}@${pkg.version}`);
-
-      output("Successfully published:");
-      output(message.join(os.EOL));
-
-      this.logger.success("published", "%d %s", count, count === 1 ? "package" : "packages");
-    });
-  }
+    chain = chain.then(pkgs => this.verifyLocalDependencies(pkgs));
 
-  verifyWorkingTreeClean() {
-    return describeRef(this.execOpts).then(checkWorkingTree.throwIfUncommitted);
+    return chain;
   }
 
-  prepareLicenseActions() {
-    return Promise.resolve()
-      .then(() => getPackagesWithoutLicense(this.project, this.packagesToPublish))
-      .then(packagesWithoutLicense => {
-        if (packagesWithoutLicense.length && !this.project.licensePath) {
-          this.packagesToBeLicensed = [];
-
-          const names = packagesWithoutLicense.map(pkg => pkg.name);
-          const noun = names.length > 1 ? "Packages" : "Package";
-          const verb = names.length > 1 ? "are" : "is";
-          const list =
-            names.length > 1
-              ? `${names.slice(0, -1).join(", ")}${names.length > 2 ? "," : ""} and ${
-                  names[names.length - 1] /* oxford commas _are_ that important */
-                }`
-              : names[0];
+  detectDistTagChanges() {
+    const { from, to } = this.options;
+
+    // the version to tag is either what --from points at, or the current local version
+    this.distTagChanges = new Map();
+
+    let chain = this.getSelectedPackages();
+
+    chain = chain.then(pkgs => pkgs.filter(pkg => !pkg.private));
+
+    // a package that was never published at all has no tags, reported as a problem below
+    const listTags = pkg => listDistTags(pkg.name, this.getPackageFetchOpts(pkg));
+
+    chain = chain.then(pkgs =>
+      Promise.all([
+        pMap(pkgs, listTags, { concurrency: 4 }),
+        from ? [] : this.findPublishedPackages(pkgs),
+      ]).then(([tagsList, published]) => {
+        const problems = [];
+
+        pkgs.forEach((pkg, idx) => {
+          const tags = tagsList[idx];
+          const version = from ? tags[from] : pkg.version;
+          const violation =
+            version && tags[to] !== version && this.getDistTagPolicyViolation(version, to, tags[to]);
+
+          if (from && !version) {
+            problems.push(` - ${pkg.name} has no "${from}" dist-tag, pass another --from or omit it`);
+          } else if (!from && !published.includes(pkg)) {
+            problems.push(` - ${pkg.name}@${version} is not published, publish it before moving "${to}"`);
+          } else if (violation) {
+            // the prerelease check comes first, see getDistTagPolicyViolation()
+            const flag =
+              to === "latest" && semver.prerelease(version) && !this.options.allowPrereleaseLatest
+                ? "--allow-prerelease-latest"
+                : "--allow-downgrade";
+
+            problems.push(` - ${pkg.name}: ${violation}, pass ${flag} to move it anyway`);
+          } else if (tags[to] === version) {
+            this.logger.info("dist-tag", "%s@%s is already %j", pkg.name, version, to);
+          } else {
+            this.distTagChanges.set(pkg.name, { version, previous: tags[to] });
+          }
+        });
 
-          this.logger.warn(
-            "ENOLICENSE",
-            "%s %s %s missing a license.\n%s\n%s",
-            noun,
-            list,
-            verb,
-            "One way to fix this is to add a LICENSE.md file to the root of this repository.",
-            "See https://choosealicense.com for additional guidance."
+        if (problems.length) {
+          throw new ValidationError(
+            "EDISTTAG",
+            `Unable to move "${to}" for the following packages:${os.EOL}${problems.join(os.EOL)}`
           );
-        } else {
-          this.packagesToBeLicensed = packagesWithoutLicense;
         }
-      });
+
+        return pkgs.filter(pkg => this.distTagChanges.has(pkg.name));
+      })
+    );
+
+    return chain;
   }
 
-  prepareRegistryActions() {
-    let chain = Promise.resolve();
+  confirmDistTagChanges(pkgs) {
+    const { to } = this.options;
+    const message = pkgs.map(pkg => {
+      const { version, previous } = this.distTagChanges.get(pkg.name);
 
-    if (this.conf.get("registry") !== "https://registry.npmjs.org/") {
-      this.logger.notice("", "Skipping all user and access validation due to third-party registry");
-      this.logger.notice("", "Make sure you're authenticated properly ¯\\_(ツ)_/¯");
+      return ` - ${pkg.name}@${version} => ${to}${previous ? ` (was ${previous})` : ""}`;
+    });
 
-      return chain;
-    }
+    output("");
+    output(`Found ${pkgs.length} ${pkgs.length === 1 ? "dist-tag" : "dist-tags"} to move:`);
+    output(message.join(os.EOL));
+    output("");
 
-    /* istanbul ignore if */
-    if (process.env.LERNA_INTEGRATION) {
-      return chain;
-    }
+    if (!this.needsConfirmation) {
+      this.logger.info("auto-confirmed");
 
-    if (this.verifyAccess) {
-      // validate user has valid npm credentials first,
-      // by far the most common form of failed execution
-      chain = chain.then(() => getNpmUsername(this.conf.snapshot));
-      chain = chain.then(username => {
-        // if no username was retrieved, don't bother validating
-        if (username) {
-          return verifyNpmPackageAccess(this.packagesToPublish, username, this.conf.snapshot);
-        }
-      });
+      return true;
     }
 
-    return chain;
+    return PromptUtilities.select("Are you sure you want to move the above dist-tags?", {
+      choices: [{ name: "No", value: false }, { name: "Yes", value: true }],
+    }).then(confirmed => {
+      if (!confirmed) {
+        this.logger.info("dist-tag", "Aborted, no dist-tags were moved");
+      }
+
+      return confirmed;
+    });
   }
 
-  updateCanaryVersions() {
-    const publishableUpdates = this.scopedPackages.filter(node => !node.pkg.private);
+  moveDistTags() {
+    const { to } = this.options;
+    const count = this.distTagChanges.size;
+    const noun = count === 1 ? "dist-tag" : "dist-tags";
 
-    return pMap(publishableUpdates, ({ pkg, localDependencies }) => {
+    if (this.options.dryRun) {
+      this.logger.success("dry-run", "%d %s would be moved to %j, nothing changed", count, noun, to);
 
-      for (const [depName, resolved] of localDependencies) {
-        // other canary versions need to be updated, non-canary is a no-op
-        const depVersion = this.packageGraph.get(depName).pkg.version;
+      return;
+    }
 
-        // it no longer matters if we mutate the shared Package instance
-        pkg.updateLocalDependency(resolved, depVersion, this.savePrefix);
-      }
+    const tracker = this.logger.newItem("dist-tag");
 
-      // writing changes to disk handled in serializeChanges()
-    });
-  }
+    tracker.addWork(count);
+    tracker.showProgress();
 
-  resolveLocalDependencyLinks() {
-    // resolve relative file: links to their actual version range
+    const mapper = pkg => {
+      const { version } = this.distTagChanges.get(pkg.name);
+      const spec = `${pkg.name}@${version}`;
 
-    const updatesWithLocalLinks = this.scopedPackages.map(pkg => this.packageGraph.get(pkg.name)).filter(
-      ({ pkg, localDependencies }) =>
-        !pkg.private &&
-        localDependencies.size &&
-        Array.from(localDependencies.values()).some(({ type }) => type === "directory")
-    );
+      const opts = this.getPackageFetchOpts(pkg);
 
-    return pMap(updatesWithLocalLinks, ({ pkg, localDependencies }) => {
-      for (const [depName, resolved] of localDependencies) {
-        // regardless of where the version comes from, we can't publish "file:../sibling-pkg" specs
-        const depVersion = this.packageGraph.get(depName).pkg.version;
+      return this.addDistTag(spec, to, opts, tracker).then(() => {
+        tracker.success("dist-tag", "%s => %j", spec, to);
+        tracker.completeWork(1);
 
-        // it no longer matters if we mutate the shared Package instance
-        pkg.updateLocalDependency(resolved, depVersion, this.savePrefix);
-      }
+        this.emitProgress("dist-tagged", pkg, { version, distTag: to, registry: opts.registry });
+      });
+    };
 
-      // writing changes to disk handled in serializeChanges()
+    const chain = runParallelBatches(this.batchedPackages, this.concurrency, mapper).then(() => {
+      const message = [].concat(...this.batchedPackages).map(pkg => {
+        const { version } = this.distTagChanges.get(pkg.name);
+
+        return ` - ${pkg.name}@${version} => ${to}`;
+      });
+
+      output("Successfully moved:");
+      output(message.join(os.EOL));
+
+      this.logger.success("dist-tag", "%d %s moved to %j", count, noun, to);
     });
+
+    return pFinally(chain, () => tracker.finish());
   }
 
-  annotateGitHead() {
-    try {
-      const gitHead = this.options.gitHead || getCurrentSHA(this.execOpts);
+  detectFromJournal() {
+    let chain = Promise.resolve();
 
-      for (const pkg of this.packagesToPublish) {
-        // provide gitHead property that is normally added during npm publish
-        pkg.set("gitHead", gitHead);
-      }
-    } catch (err) {
-      // from-package should be _able_ to run without git, but at least we tried
-      this.logger.silly("EGITHEAD", err.message);
-      this.logger.notice(
-        "FYI",
-        "Unable to set temporary gitHead property, it will be missing from registry metadata"
-      );
-    }
+    chain = chain.then(() => this.journal.read());
+    chain = chain.then(names =>
+      names.map(name => {
+        if (!this.packageGraph.has(name)) {
+          throw new ValidationError("ERESUME", `Package "${name}" from the publish journal no longer exists`);
+        }
 
-    // writing changes to disk handled in serializeChanges()
-  }
+        const { pkg } = this.packageGraph.get(name);
 
-  serializeChanges() {
-    return pMap(this.packagesToPublish, pkg => pkg.serialize());
-  }
+        // versions (canary or otherwise) are restored rather than computed again
+        pkg.version = this.journal.get(name).version;
 
-  resetChanges() {
-    // the package.json files are changed (by gitHead if not --canary)
-    // and we should always __attempt_ to leave the working tree clean
-    const { cwd } = this.execOpts;
-    const dirtyManifests = [this.project.manifest]
-      .concat(this.packagesToPublish)
-      .map(pkg => path.relative(cwd, pkg.manifestLocation));
+        return pkg;
+      })
+    );
 
-    return gitCheckout(dirtyManifests, this.execOpts).catch(err => {
-      this.logger.silly("EGITCHECKOUT", err.message);
-      this.logger.notice("FYI", "Unable to reset working tree changes, this probably isn't a git repo.");
-    });
+    if (this.options.canary) {
+      chain = chain.then(pkgs => {
+        this.canaryVersions = new Map(pkgs.map(pkg => [pkg.name, pkg.version]));
+
+        return pkgs;
+      });
+    }
+
+    // the registry, not the journal, is the source of truth for what was published
+    chain = chain.then(pkgs =>
+      this.findPublishedPackages(pkgs).then(published => {
+        this.alreadyPublished = new Set(published.map(pkg => pkg.name));
+
+        for (const pkg of pkgs) {
+          if (this.alreadyPublished.has(pkg.name)) {
+            this.logger.info("resume", "%s@%s is already published", pkg.name, pkg.version);
+          } else if (this.journal.get(pkg.name).published) {
+            this.logger.warn(
+              "resume",
+              "%s@%s was recorded as published, but is missing from the registry",
+              pkg.name,
+              pkg.version
+            );
+          }
+        }
+
+        return pkgs;
+      })
+    );
+
+    return chain;
   }
 
-  execScript(pkg, script) {
-    const scriptLocation = path.join(pkg.location, "scripts", script);
+  getSelectedPackages() {
+    // --since is applied below instead of by @lerna/filter-options, which always adds every dependent
+    const filterOptions = Object.assign({}, this.options, { since: undefined });
 
-    try {
-      // eslint-disable-next-line import/no-dynamic-require, global-require
-      require(scriptLocation);
-    } catch (ex) {
-      this.logger.silly("execScript", `No ${script} script found at ${scriptLocation}`);
+    let chain = getFilteredPackages(this.packageGraph, this.execOpts, filterOptions);
+
+    if (this.sinceChanges) {
+      // the intersection with --scope, --ignore and friends
+      chain = chain.then(pkgs => this.detectChangedPackages(pkgs));
     }
 
-    return pkg;
+    return chain;
   }
 
-  removeTempLicensesOnError(error) {
-    return Promise.resolve()
+  detectChangedPackages(pkgs) {
+    // a change outside of --scope still selects its dependents inside of it
+    const candidates = this.options.includeDependents ? this.packageGraph.rawPackageList : pkgs;
+
+    let chain = Promise.resolve();
+
+    chain = chain.then(() => this.resolveSinceRef());
+    chain = chain.then(ref =>
+      pMap(candidates, pkg => getChangedFiles(ref, pkg.location, this.execOpts), { concurrency: 4 }).then(
+        changedFiles => {
+          // why each package was selected, by name
+          const reasons = new Map();
+
+          candidates.forEach((pkg, idx) => {
+            const count = changedFiles[idx].length;
+
+            if (count) {
+              reasons.set(pkg.name, `${count} ${count === 1 ? "file" : "files"} changed since ${ref}`);
+            }
+          });
+
+          if (this.options.includeDependents) {
+            this.addChangedDependents(pkgs, reasons);
+          }
+
+          for (const pkg of pkgs.filter(candidate => !candidate.private)) {
+            const reason = reasons.get(pkg.name) || `unchanged since ${ref}, skipping`;
+
+            this.logger.info("since", "%s: %s", pkg.name, reason);
+          }
+
+          return pkgs.filter(pkg => reasons.has(pkg.name));
+        }
+      )
+    );
+
+    return chain;
+  }
+
+  addChangedDependents(pkgs, reasons) {
+    const selected = new Set(pkgs.map(pkg => pkg.name));
+    const visited = new Set(reasons.keys());
+    const queue = Array.from(reasons.keys());
+
+    // breadth-first, so each dependent names its closest changed dependency
+    while (queue.length) {
+      const name = queue.shift();
+
+      for (const dependentName of this.packageGraph.get(name).localDependents.keys()) {
+        if (!visited.has(dependentName)) {
+          visited.add(dependentName);
+          queue.push(dependentName);
+
+          // packages outside of --scope are never selected, but their own dependents still are
+          if (selected.has(dependentName)) {
+            reasons.set(dependentName, `depends on ${name}`);
+          }
+        }
+      }
+    }
+  }
+
+  resolveSinceRef() {
+    const { since } = this.options;
+
+    if (since) {
+      return refExists(since, this.execOpts).then(exists => {
+        if (!exists) {
+          throw new ValidationError("ESINCE", `--since ref "${since}" is not a known commit`);
+        }
+
+        return since;
+      });
+    }
+
+    // the same tags that from-git looks for
+    const match = this.project.isIndependent() ? "*@*" : `${this.tagPrefix}*.*.*`;
+
+    return describeRef(Object.assign({ match }, this.execOpts), this.options.includeMergedTags).then(
+      ({ lastTagName }) => {
+        if (!lastTagName) {
+          throw new ValidationError(
+            "ESINCE",
+            `No release tag matching "${match}" found, pass --since <ref> instead`
+          );
+        }
+
+        this.logger.info("since", "last release is %s", lastTagName);
+
+        return lastTagName;
+      }
+    );
+  }
+
+  detectFromGit(pkgs) {
+    const matchingPattern = this.project.isIndependent() ? "*@*" : `${this.tagPrefix}*.*.*`;
+
+    let chain = Promise.resolve();
+
+    chain = chain.then(() => getCurrentTags(this.execOpts, matchingPattern));
+    chain = chain.then(taggedPackageNames => {
+      if (!taggedPackageNames.length) {
+        this.logger.notice("from-git", "No tagged release found");
+
+        return [];
+      }
+
+      if (this.project.isIndependent()) {
+        return taggedPackageNames.map(name => this.packageGraph.get(name)).filter(Boolean);
+      }
+
+      return getTaggedPackages(this.packageGraph, this.project.rootPath, this.execOpts);
+    });
+
+    return chain.then(nodes => {
+      const tagged = new Set(nodes.map(({ pkg }) => pkg.name));
+
+      // private packages are never published, full stop.
+      return pkgs.filter(pkg => !pkg.private && tagged.has(pkg.name));
+    });
+  }
+
+  detectFromPackage(pkgs) {
+    const nodes = new Map(pkgs.map(pkg => [pkg.name, this.packageGraph.get(pkg.name)]));
+
+    // private packages are already omitted by getUnpublishedPackages()
+    return getUnpublishedPackages(nodes, node => this.getPackageFetchOpts(node.pkg)).then(unpublished => {
+      if (!unpublished.length) {
+        this.logger.notice("from-package", "No unpublished release found");
+      }
+
+      return unpublished.map(({ pkg }) => pkg);
+    });
+  }
+
+  detectCanaryVersions(pkgs) {
+    const { bump = "minor", preid = "alpha", includeMergedTags } = this.options;
+
+    // "prerelease" and "prepatch" are identical, for our purposes
+    const release = bump.replace(/^pre/, "").replace("release", "patch");
+
+    const makeVersion = (pkg, { refCount, sha }) =>
+      // the commit distance since the last release keeps the counter increasing,
+      // and build metadata is always ignored when comparing dependency ranges
+      `${semver.inc(pkg.version, release)}-${preid}.${refCount}+${sha}`;
+
+    const describe = match => describeRef(Object.assign({ match }, this.execOpts), includeMergedTags);
+
+    let chain = Promise.resolve();
+
+    if (this.project.isIndependent()) {
+      // each package is described against its tags only
+      chain = chain.then(() =>
+        pMap(pkgs, pkg => describe(`${pkg.name}@*`).then(result => [pkg, makeVersion(pkg, result)]))
+      );
+    } else {
+      // all packages are described against the last tag
+      chain = chain.then(() => describe(`${this.tagPrefix}*.*.*`));
+      chain = chain.then(result => pkgs.map(pkg => [pkg, makeVersion(pkg, result)]));
+    }
+
+    return chain.then(updatesVersions => {
+      // included dependencies are versioned in a second pass
+      this.canaryVersions = this.canaryVersions || new Map();
+
+      for (const [pkg, version] of updatesVersions) {
+        this.logger.verbose("canary", "%s: %s => %s", pkg.name, pkg.version, version);
+        this.canaryVersions.set(pkg.name, version);
+
+        // writing changes to disk handled in serializeChanges()
+        pkg.version = version;
+      }
+
+      return pkgs;
+    });
+  }
+
+  verifyLocalDependencies(pkgs) {
+    const selected = new Set(pkgs.map(pkg => pkg.name));
+    const edges = [];
+
+    for (const pkg of pkgs) {
+      for (const depName of this.getRewrittenDependencies(this.packageGraph.get(pkg.name))) {
+        if (!selected.has(depName)) {
+          edges.push({ pkg, dep: this.packageGraph.get(depName).pkg });
+        }
+      }
+    }
+
+    if (!edges.length) {
+      return pkgs;
+    }
+
+    const deps = Array.from(new Set(edges.map(({ dep }) => dep)));
+
+    return this.findPublishedPackages(deps.filter(dep => !dep.private)).then(published => {
+      const missing = deps.filter(dep => !published.includes(dep));
+      const unresolved = edges.filter(({ dep }) => missing.includes(dep));
+
+      if (!unresolved.length) {
+        return pkgs;
+      }
+
+      if (this.options.includeUnpublishedDependencies && !missing.some(dep => dep.private)) {
+        for (const { pkg, dep } of unresolved) {
+          this.logger.notice("include", "%s@%s, required by %s", dep.name, dep.version, pkg.name);
+        }
+
+        let chain = Promise.resolve(missing);
+
+        if (this.options.canary) {
+          chain = chain.then(added => this.detectCanaryVersions(added));
+          chain = chain.then(added => this.verifyCanaryVersionsUnique(added));
+        }
+
+        // the included siblings may have unresolvable dependencies of their own
+        return chain.then(added => this.verifyLocalDependencies(pkgs.concat(added)));
+      }
+
+      const list = unresolved.map(
+        ({ pkg, dep }) => ` - ${pkg.name} => ${dep.name}@${dep.version}${dep.private ? " (private)" : ""}`
+      );
+
+      throw new ValidationError(
+        "EUNRESOLVED",
+        `The following local dependencies are neither published nor part of this run:${os.EOL}${list.join(
+          os.EOL
+        )}${os.EOL}Add them to --scope, or pass --include-unpublished-dependencies to publish them too.`
+      );
+    });
+  }
+
+  getRewrittenDependencies({ pkg, localDependencies }) {
+    // mirrors updateCanaryVersions() and resolveLocalDependencyLinks()
+    const rewritten =
+      this.options.canary || Array.from(localDependencies.values()).some(({ type }) => type === "directory");
+
+    if (pkg.private) {
+      return [];
+    }
+
+    // consumers never install devDependencies, so those may stay unpublished (or private)
+    const runtime = Object.assign({}, pkg.peerDependencies, pkg.optionalDependencies, pkg.dependencies);
+    const fromGraph = rewritten
+      ? Array.from(localDependencies.keys()).filter(depName => depName in runtime)
+      : [];
+
+    // workspace: specs were already rewritten along with the package graph, see runPreparations()
+    const fromWorkspace = (this.workspaceSpecs.get(pkg.name) || [])
+      .filter(({ depType }) => depType !== "devDependencies")
+      .map(({ depName }) => depName);
+
+    return Array.from(new Set(fromGraph.concat(fromWorkspace)));
+  }
+
+  verifyCanaryVersionsUnique(pkgs) {
+    return this.findPublishedPackages(pkgs).then(published => {
+      if (published.length) {
+        const list = published.map(pkg => ` - ${pkg.name}@${pkg.version}`);
+
+        throw new ValidationError(
+          "ECANARY",
+          `The following canary versions have already been published:${os.EOL}${list.join(os.EOL)}${
+            os.EOL
+          }Use a per-branch --preid to avoid clashing canary versions.`
+        );
+      }
+
+      return pkgs;
+    });
+  }
+
+  verifyDistTagPolicy(pkgs) {
+    const entries = pkgs.map(pkg => ({
+      name: pkg.name,
+      version: pkg.version,
+      distTag: this.getPackageDistTag(pkg),
+      opts: this.getPackageFetchOpts(pkg),
+    }));
+
+    return verifyDistTagPolicy(
+      entries,
+      Object.assign({}, this.options, {
+        canary: Boolean(this.options.canary),
+        hint: "Use --dist-tag or --prerelease-dist-tag, or --allow-prerelease-latest / --allow-downgrade.",
+      })
+    );
+  }
+
+  findPublishedPackages(pkgs) {
+    const nodes = new Map(pkgs.map(pkg => [pkg.name, this.packageGraph.get(pkg.name)]));
+
+    // each package is looked up on its own primary registry
+    return getUnpublishedPackages(nodes, node => this.getPackageFetchOpts(node.pkg)).then(unpublished => {
+      const unpublishedNames = new Set(unpublished.map(({ pkg }) => pkg.name));
+
+      return pkgs.filter(pkg => !unpublishedNames.has(pkg.name));
+    });
+  }
+
+  skipPublishedPackages(pkgs) {
+    return this.findPublishedPackages(pkgs).then(published => {
+      if (published.length && this.options.failOnExisting) {
+        const list = published.map(pkg => ` - ${pkg.name}@${pkg.version}`);
+
+        throw new ValidationError(
+          "EPUBLISHED",
+          `The following versions have already been published:${os.EOL}${list.join(os.EOL)}`
+        );
+      }
+
+      for (const pkg of published) {
+        this.logger.notice("skip", "%s@%s already published, skipping", pkg.name, pkg.version);
+        this.emitProgress("skipped", pkg);
+      }
+
+      // remembered for the publish report
+      this.skippedPackages = published;
+
+      return pkgs.filter(pkg => !published.includes(pkg));
+    });
+  }
+
+  execute() {
+    this.enableProgressBar();
+
+    if (this.distTagMode) {
+      return this.moveDistTags();
+    }
+
+    this.logger.info("publish", "Publishing packages to npm...");
+
+    let chain = Promise.resolve();
+
+    chain = chain.then(() => this.prepareRegistryActions());
+    chain = chain.then(() => this.prepareLicenseActions());
+    chain = chain.then(() => this.verifyWorkingTreeClean());
+
+    if (!this.options.dryRun && !this.options.packOnly && !this.options.resume) {
+      // topological order, the same order packages are published in
+      chain = chain.then(() => this.journal.start([].concat(...this.batchedPackages)));
+    }
+
+    if (this.options.dryRun) {
+      // remember the original dependency specs so the report can show what was rewritten
+      chain = chain.then(() => {
+        this.originalManifests = new Map(
+          this.packagesToPublish.map(pkg => {
+            const original = pkg.toJSON();
+
+            // workspace: specs were already resolved along with the package graph
+            for (const { depType, depName, spec } of this.workspaceSpecs.get(pkg.name) || []) {
+              original[depType][depName] = spec;
+            }
+
+            return [pkg.name, original];
+          })
+        );
+      });
+    }
+
+    if (this.options.canary) {
+      chain = chain.then(() => this.updateCanaryVersions());
+    } else {
+      chain = chain.then(() => this.resolveLocalDependencyLinks());
+    }
+    chain = chain.then(() => this.resolvePeerDependencyLinks());
+    chain = chain.then(() => this.verifyRegistrySpecs());
+    chain = chain.then(() => this.annotateGitHead());
+    chain = chain.then(() => this.annotateRegistry());
+    chain = chain.then(() => this.serializeChanges());
+    chain = chain.then(() => this.packUpdated());
+    chain = chain.then(() => this.lintPacked());
+
+    if (this.options.dryRun) {
+      chain = chain.then(() => this.reportDryRun());
+    } else if (this.options.packOnly) {
+      chain = chain.then(() => this.writePackedDirectory());
+    } else {
+      chain = chain.then(() => this.publishPacked());
+    }
+
+    if (this.gitReset) {
+      chain = chain.then(() => this.resetChanges(), error => this.resetChangesOnError(error));
+    }
+
+    if (this.options.tempTag && !this.options.dryRun && !this.options.packOnly) {
+      chain = chain.then(() => this.npmUpdateAsLatest());
+    }
+
+    if (this.options.verifyPublished && !this.options.dryRun && !this.options.packOnly) {
+      chain = chain.then(() => this.verifyPublished());
+    }
+
+    // everything is done, nothing left to resume but missing mirrors
+    chain = chain.then(() => (this.getPartialMirrors().length ? undefined : this.journal.remove()));
+
+    if (this.options.gitTagPublished && !this.options.dryRun && !this.options.packOnly) {
+      chain = chain.then(() => this.tagPublished());
+    }
+
+    // the release itself is complete, so partial mirrors only fail the run at the very end
+    chain = chain.then(() => this.verifyMirrored());
+    chain = chain.then(() =>
+      this.hooks.runAll("afterAll", {
+        dryRun: Boolean(this.options.dryRun),
+        packOnly: Boolean(this.options.packOnly),
+        packages: this.packagesToPublish.map(pkg => this.getHookContext(pkg)),
+        result: this.getPublishResult(),
+      })
+    );
+
+    chain = chain.then(() => {
+      const count = this.packagesToPublish.length;
+      const noun = count === 1 ? "package" : "packages";
+
+      if (this.options.dryRun) {
+        this.logger.success("dry-run", "%d %s packed, nothing published", count, noun);
+
+        return;
+      }
+
+      if (this.options.packOnly) {
+        this.logger.success("pack-only", "%d %s packed to %s", count, noun, this.options.outDir);
+
+        return;
+      }
+
+      if (!this.options.json) {
+        const message = this.packagesToPublish.map(pkg => ` - ${pkg.name}@${pkg.version}`);
+
+        output("Successfully published:");
+        output(message.join(os.EOL));
+      }
+
+      this.logger.success("published", "%d %s", count, noun);
+    });
+
+    if (this.options.json || this.options.reportFile) {
+      // the report is written even when publishing fails, with whatever was completed
+      chain = chain.then(() => this.writeReport(), error => this.writeReportOnError(error));
+    }
+
+    return chain;
+  }
+
+  getPublishReport(error) {
+    const toError = createPublishReport.toReportError;
+    const toEntry = (pkg, status, err, rollback) => {
+      const packed = pkg.packed || {};
+
+      return {
+        name: pkg.name,
+        version: pkg.version,
+        distTag: this.getPackageDistTag(pkg),
+        registry: this.getPackageRegistry(pkg),
+        tarball: packed.filename || null,
+        shasum: packed.shasum || null,
+        integrity: packed.integrity ? packed.integrity.toString() : null,
+        unpackedSize: packed.unpackedSize || null,
+        gitHead: pkg.get("gitHead") || null,
+        gitTag: this.gitTags.get(pkg.name) || null,
+        mirrors: Array.from(this.mirrorStatus.get(pkg.name) || [], ([mirror, mirrored]) => ({
+          registry: mirror,
+          status: mirrored.status,
+          error: toError(mirrored.error),
+        })),
+        status,
+        error: toError(err),
+        rollback: rollback ? { action: rollback.action, error: toError(rollback.error) } : null,
+      };
+    };
+
+    // nothing has been selected when detecting the packages fails
+    const packages = (this.packagesToPublish || []).map(pkg => {
+      // packages that were never attempted remain "pending"
+      const { status = "pending", error: err, rollback } = this.publishStatus.get(pkg.name) || {};
+
+      return toEntry(pkg, status, err, rollback);
+    });
+
+    for (const pkg of this.skippedPackages) {
+      packages.push(toEntry(pkg, "skipped"));
+    }
+
+    return createPublishReport(packages, { error, dryRun: Boolean(this.options.dryRun) });
+  }
+
+  getPublishResult(error) {
+    return createPublishReport.createPublishResult(this.getPublishReport(error));
+  }
+
+  emitProgress(event, pkg, details) {
+    const payload = Object.assign({ name: pkg.name, version: pkg.version }, details);
+
+    try {
+      this.events.emit(event, payload);
+    } catch (err) {
+      // a broken listener must not leave a release half-done
+      this.logger.warn("events", "%s listener failed: %s", event, err.message);
+    }
+  }
+
+  writeReport(error) {
+    return writePublishReport(this.getPublishReport(error), {
+      json: this.options.json,
+      reportFile: this.options.reportFile,
+      cwd: process.cwd(),
+    });
+  }
+
+  writeReportOnError(error) {
+    return Promise.resolve()
+      .then(() =>
+        this.writeReport(error).catch(reportError => {
+          this.logger.error("report", "error writing publish report", reportError.stack || reportError);
+        })
+      )
+      .then(() => {
+        // restore original error into promise chain
+        throw error;
+      });
+  }
+
+  verifyWorkingTreeClean() {
+    const chain = describeRef(this.execOpts).then(checkWorkingTree.throwIfUncommitted);
+
+    if (this.options.bump !== "from-package") {
+      return chain;
+    }
+
+    return chain.catch(err => {
+      // an execa error is thrown when git suffers a fatal error (such as no git repository present)
+      if (err.failed && /git describe/.test(err.cmd)) {
+        // from-package should be _able_ to run without git, but at least we tried
+        this.logger.silly("EWORKINGTREE", err.message);
+        this.logger.notice("FYI", "Unable to verify working tree, proceed at your own risk");
+      } else {
+        // validation errors should be preserved
+        throw err;
+      }
+    });
+  }
+
+  prepareLicenseActions() {
+    return Promise.resolve()
+      .then(() => getPackagesWithoutLicense(this.project, this.packagesToPublish))
+      .then(packagesWithoutLicense => {
+        if (packagesWithoutLicense.length && !this.project.licensePath) {
+          this.packagesToBeLicensed = [];
+
+          const names = packagesWithoutLicense.map(pkg => pkg.name);
+          const noun = names.length > 1 ? "Packages" : "Package";
+          const verb = names.length > 1 ? "are" : "is";
+          const list =
+            names.length > 1
+              ? `${names.slice(0, -1).join(", ")}${names.length > 2 ? "," : ""} and ${
+                  names[names.length - 1] /* oxford commas _are_ that important */
+                }`
+              : names[0];
+
+          this.logger.warn(
+            "ENOLICENSE",
+            "%s %s %s missing a license.\n%s\n%s",
+            noun,
+            list,
+            verb,
+            "One way to fix this is to add a LICENSE.md file to the root of this repository.",
+            "See https://choosealicense.com for additional guidance."
+          );
+        } else {
+          this.packagesToBeLicensed = packagesWithoutLicense;
+        }
+      });
+  }
+
+  prepareRegistryActions() {
+    let chain = Promise.resolve();
+
+    /* istanbul ignore if */
+    if (process.env.LERNA_INTEGRATION) {
+      return chain;
+    }
+
+    if (this.verifyAccess && !this.options.packOnly) {
+      const registries = new Map();
+
+      for (const pkg of this.packagesToPublish) {
+        for (const registry of this.getPackageRegistries(pkg)) {
+          if (!registries.has(registry)) {
+            registries.set(registry, []);
+          }
+
+          registries.get(registry).push(pkg);
+        }
+      }
+
+      // one registry at a time, so a missing token fails fast with a clear message
+      chain = chain.then(() =>
+        pMap(Array.from(registries), ([registry, pkgs]) => this.verifyRegistryAccess(registry, pkgs), {
+          concurrency: 1,
+        })
+      );
+    }
+
+    return chain;
+  }
+
+  verifyRegistryAccess(registry, pkgs) {
+    // the registry's own auth is picked from npm config by npm-registry-fetch
+    const opts = Object.assign(this.conf.snapshot, { registry });
+
+    this.logger.verbose("registry", "verifying %s for %d packages", registry, pkgs.length);
+
+    let chain = Promise.resolve();
+
+    // validate user has valid npm credentials first,
+    // by far the most common form of failed execution
+    chain = chain.then(() => getNpmUsername(opts));
+    chain = chain.then(username => {
+      // if no username was retrieved, don't bother validating
+      if (!username) {
+        this.logger.notice("registry", "%s: unable to verify credentials, skipping access checks", registry);
+        return;
+      }
+
+      return verifyNpmPackageAccess(pkgs, username, opts).then(() => {
+        const names = pkgs.map(pkg => pkg.name).join(", ");
+
+        this.logger.info("registry", "%s: verified %s for %s", registry, username, names);
+      });
+    });
+
+    return chain.then(() => {
+      for (const pkg of pkgs) {
+        this.emitProgress("verified", pkg, { registry });
+      }
+    });
+  }
+
+  updateCanaryVersions() {
+    const publishableUpdates = this.scopedPackages.filter(node => !node.pkg.private);
+
+    return pMap(publishableUpdates, ({ pkg, localDependencies }) => {
+      for (const [depName, resolved] of localDependencies) {
+        // sibling canary versions are pinned exactly, the rest (including file: links) get the usual range
+        this.updateLocalDependency(pkg, depName, resolved);
+      }
+
+      // writing changes to disk handled in serializeChanges()
+    });
+  }
+
+  resolveLocalDependencyLinks() {
+    // resolve relative file: links to a version range, and apply the range policy to workspace: specs
+
+    const updates = this.scopedPackages
+      .map(pkg => this.packageGraph.get(pkg.name))
+      .filter(({ pkg, localDependencies }) => !pkg.private && localDependencies.size);
+
+    return pMap(updates, ({ pkg, localDependencies }) => {
+      const hasLocalLinks = Array.from(localDependencies.values()).some(({ type }) => type === "directory");
+
+      for (const [depName, resolved] of localDependencies) {
+        // regardless of where the version comes from, we can't publish "file:../sibling-pkg" specs
+        if (hasLocalLinks || this.isWorkspaceSpec(pkg, depName)) {
+          this.updateLocalDependency(pkg, depName, resolved);
+        }
+      }
+
+      // writing changes to disk handled in serializeChanges()
+    });
+  }
+
+  updateLocalDependency(pkg, depName, resolved) {
+    // the same lookup order as Package#updateLocalDependency()
+    const depType = ["dependencies", "optionalDependencies", "devDependencies"].find(
+      type => pkg.get(type) && pkg.get(type)[depName] !== undefined
+    );
+    const depVersion = this.packageGraph.get(depName).pkg.version;
+    const savePrefix = this.getRangePrefix(pkg, depType, depName, depVersion);
+
+    if (savePrefix !== null) {
+      // it no longer matters if we mutate the shared Package instance
+      pkg.updateLocalDependency(resolved, depVersion, savePrefix);
+    }
+  }
+
+  resolvePeerDependencyLinks() {
+    // peerDependencies are not part of the package graph, so their local links are resolved here
+    for (const pkg of this.packagesToPublish) {
+      const peerDependencies = pkg.get("peerDependencies") || {};
+
+      for (const depName of Object.keys(peerDependencies)) {
+        const depNode = this.packageGraph.get(depName);
+        const spec = peerDependencies[depName];
+
+        if (depNode && this.isWorkspaceSpec(pkg, depName, "peerDependencies")) {
+          const savePrefix = this.getRangePrefix(pkg, "peerDependencies", depName, depNode.pkg.version);
+
+          if (savePrefix !== null) {
+            peerDependencies[depName] = `${savePrefix}${depNode.pkg.version}`;
+          }
+
+          continue;
+        }
+
+        if (!depNode || !/^(?:file|link):/.test(spec)) {
+          continue;
+        }
+
+        // Yarn's link: is the same as file:, see @lerna/package-graph
+        const resolved = npa.resolve(depName, spec.replace(/^link:/, "file:"), pkg.location);
+
+        if (resolved.fetchSpec === depNode.location) {
+          const savePrefix = this.getRangePrefix(pkg, "peerDependencies", depName, depNode.pkg.version);
+
+          // writing changes to disk handled in serializeChanges()
+          peerDependencies[depName] = `${savePrefix}${depNode.pkg.version}`;
+        }
+      }
+    }
+  }
+
+  verifyRegistrySpecs() {
+    const depTypes = ["dependencies", "optionalDependencies", "peerDependencies"];
+    const problems = [];
+
+    for (const pkg of this.packagesToPublish) {
+      // bundled dependencies ship inside the tarball, wherever they came from
+      const bundled = [].concat(pkg.get("bundleDependencies") || pkg.get("bundledDependencies") || []);
+
+      for (const depType of depTypes) {
+        const deps = pkg.get(depType) || {};
+
+        for (const depName of Object.keys(deps)) {
+          if (NON_REGISTRY_SPEC.test(deps[depName]) && !bundled.includes(depName)) {
+            problems.push(` - ${pkg.name}: ${depType} ${depName}@${deps[depName]}`);
+          }
+        }
+      }
+    }
+
+    if (problems.length) {
+      const message = "The following dependencies could not be installed from the registry:";
+      const hint = "Depend on a package in this project, or on a published version, instead.";
+
+      throw new ValidationError(
+        "ENONREGISTRY",
+        `${message}${os.EOL}${problems.join(os.EOL)}${os.EOL}${hint}`
+      );
+    }
+  }
+
+  annotateGitHead() {
+    try {
+      const gitHead = this.options.gitHead || getCurrentSHA(this.execOpts);
+
+      for (const pkg of this.packagesToPublish) {
+        // provide gitHead property that is normally added during npm publish
+        pkg.set("gitHead", gitHead);
+      }
+    } catch (err) {
+      // from-package should be _able_ to run without git, but at least we tried
+      this.logger.silly("EGITHEAD", err.message);
+      this.logger.notice(
+        "FYI",
+        "Unable to set temporary gitHead property, it will be missing from registry metadata"
+      );
+    }
+
+    // writing changes to disk handled in serializeChanges()
+  }
+
+  annotateRegistry() {
+    for (const pkg of this.packagesToPublish) {
+      const publishConfig = pkg.get("publishConfig") || {};
+
+      // libnpmpublish merges publishConfig over the global config,
+      // so --registry (or the first of publishRegistries) has to override it here
+      const registry = this.getPackageRegistry(pkg);
+      const current = publishConfig.registry || pickRegistry(npa(pkg.name), this.conf.snapshot);
+
+      if (current !== registry) {
+        this.logger.verbose("registry", "%s: %s overrides %s", pkg.name, registry, current);
+        pkg.set("publishConfig", Object.assign({}, publishConfig, { registry }));
+      }
+    }
+
+    // writing changes to disk handled in serializeChanges()
+  }
+
+  serializeChanges() {
+    // from here on, a failure leaves manifest changes that need resetting
+    this.hasSerializedChanges = true;
+
+    return pMap(this.packagesToPublish, pkg => pkg.serialize());
+  }
+
+  resetChanges() {
+    // the package.json files are changed (by gitHead if not --canary)
+    // and we should always __attempt_ to leave the working tree clean
+    const { cwd } = this.execOpts;
+    const dirtyManifests = [this.project.manifest]
+      .concat(this.packagesToPublish)
+      .map(pkg => path.relative(cwd, pkg.manifestLocation));
+
+    return gitCheckout(dirtyManifests, this.execOpts).then(
+      () => {
+        for (const pkg of this.packagesToPublish) {
+          this.emitProgress("reset", pkg);
+        }
+      },
+      err => {
+        this.logger.silly("EGITCHECKOUT", err.message);
+        this.logger.notice("FYI", "Unable to reset working tree changes, this probably isn't a git repo.");
+      }
+    );
+  }
+
+  resetChangesOnError(error) {
+    let chain = Promise.resolve();
+
+    if (this.hasSerializedChanges) {
+      // leave a clean working tree for --resume, too
+      chain = chain.then(() => this.resetChanges());
+    }
+
+    return chain.then(() => {
+      // restore original error into promise chain
+      throw error;
+    });
+  }
+
+  execScript(pkg, script) {
+    const scriptLocation = path.join(pkg.location, "scripts", script);
+
+    try {
+      require.resolve(scriptLocation);
+    } catch (ex) {
+      this.logger.silly("execScript", `No ${script} script found at ${scriptLocation}`);
+
+      return pkg;
+    }
+
+    // eslint-disable-next-line import/no-dynamic-require, global-require
+    const exported = require(scriptLocation);
+
+    // scripts that export a function are awaited, the rest only run for their side effects
+    return Promise.resolve(typeof exported === "function" && exported(this.getHookContext(pkg))).then(
+      () => pkg
+    );
+  }
+
+  runHook(name, pkg) {
+    return this.hooks.run(name, pkg, this.getHookContext(pkg)).catch(err => {
+      this.logger.error("hooks", "%s failed for %s@%s", name, pkg.name, pkg.version);
+
+      throw err;
+    });
+  }
+
+  getHookContext(pkg) {
+    const packed = pkg.packed || {};
+
+    return {
+      name: pkg.name,
+      version: pkg.version,
+      location: pkg.location,
+      manifest: pkg.toJSON(),
+      distTag: this.getPackageDistTag(pkg),
+      registry: this.getPackageRegistry(pkg),
+      registries: this.getPackageRegistries(pkg),
+      tarball: packed.tarFilePath || null,
+      integrity: packed.integrity ? packed.integrity.toString() : null,
+      gitHead: pkg.get("gitHead") || null,
+    };
+  }
+
+  removeTempLicensesOnError(error) {
+    return Promise.resolve()
       .then(() =>
         removeTempLicenses(this.packagesToBeLicensed).catch(removeError => {
           this.logger.error(
@@ -350,109 +1563,736 @@ class PublishCommand extends Command {
             "error removing temporary license files",
             removeError.stack || removeError
           );
-        })
-      )
+        })
+      )
+      .then(() => {
+        // restore original error into promise chain
+        throw error;
+      });
+  }
+
+  packUpdated() {
+    const tracker = this.logger.newItem("npm pack");
+
+    tracker.addWork(this.packagesToPublish.length);
+
+    let chain = Promise.resolve();
+
+    chain = chain.then(() => createTempLicenses(this.project.licensePath, this.packagesToBeLicensed));
+
+    if (!this.hasRootedLeaf) {
+      // despite being deprecated for years...
+      chain = chain.then(() => this.runRootLifecycle("prepublish"));
+
+      // these lifecycles _should_ never be employed to run `lerna publish`...
+      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepare"));
+      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepublishOnly"));
+      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepack"));
+    }
+
+    const { contents } = this.options;
+    const getLocation = contents ? pkg => path.resolve(pkg.location, contents) : pkg => pkg.location;
+
+    const opts = this.conf.snapshot;
+    const mapper = pPipe(
+      [
+        this.options.requireScripts && (pkg => this.execScript(pkg, "prepublish")),
+
+        pkg => this.runHook("beforePack", pkg).then(() => pkg, err => this.recordPackFailure(pkg, err)),
+
+        pkg =>
+          this.packOrReuse(pkg, getLocation(pkg), opts).then(packed => {
+            tracker.verbose("packed", pkg.name, path.relative(this.project.rootPath, getLocation(pkg)));
+            tracker.completeWork(1);
+
+            // store metadata for use in this.publishPacked()
+            pkg.packed = packed;
+
+            this.emitProgress("packed", pkg, {
+              tarball: packed.filename,
+              integrity: packed.integrity.toString(),
+            });
+
+            // manifest may be mutated by any previous lifecycle
+            return pkg.refresh();
+          }),
+
+        pkg => this.runHook("afterPack", pkg).then(() => pkg, err => this.recordPackFailure(pkg, err)),
+      ].filter(Boolean)
+    );
+
+    chain = chain.then(() =>
+      pReduce(this.batchedPackages, (_, batch) => pMap(batch, mapper, { concurrency: 10 }))
+    );
+
+    chain = chain.then(() => removeTempLicenses(this.packagesToBeLicensed));
+
+    // remove temporary license files if _any_ error occurs _anywhere_ in the promise chain
+    chain = chain.catch(error => this.removeTempLicensesOnError(error));
+
+    if (!this.hasRootedLeaf) {
+      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "postpack"));
+    }
+
+    return pFinally(chain, () => tracker.finish());
+  }
+
+  recordPackFailure(pkg, err) {
+    // fails the package itself, like a failing beforePublish
+    this.publishStatus.set(pkg.name, { status: "failed", error: err });
+    this.emitProgress("failed", pkg, { error: err });
+
+    throw err;
+  }
+
+  packOrReuse(pkg, location, opts) {
+    // --resume reuses journaled tarballs, as long as they are still intact
+    const journaled = this.options.resume ? this.journal.getVerifiedPacked(pkg) : Promise.resolve();
+
+    return journaled.then(packed => {
+      if (packed) {
+        return packed;
+      }
+
+      return pulseTillDone(packDirectory(pkg, location, opts)).then(result =>
+        this.journal.recordPacked(pkg, result)
+      );
+    });
+  }
+
+  publishPacked() {
+    const tracker = this.logger.newItem("publish");
+
+    tracker.addWork(this.packagesToPublish.length);
+
+    let chain = Promise.resolve();
+
+    const opts = this.conf.snapshot;
+
+    // the dist-tag policy may send a prerelease somewhere other than the configured tag
+    // if we skip temp tags we should tag with the proper value immediately
+    const getPublishOpts = pkg =>
+      Object.assign({}, opts, {
+        tag: this.options.tempTag ? "lerna-temp" : this.getPackageDistTag(pkg),
+      });
+
+    const emitPublished = (pkg, { tag }, previousRun) => {
+      const registry = this.getPackageRegistry(pkg);
+
+      this.emitProgress("published", pkg, { registry, distTag: tag, previousRun });
+
+      if (!this.options.tempTag) {
+        this.emitProgress("dist-tagged", pkg, { registry, distTag: tag });
+      }
+    };
+
+    const publishMapper = pPipe(
+      [
+        pkg =>
+          this.runHook("beforePublish", pkg)
+            .then(() =>
+              otplease(
+                innerOpts => this.publishWithRetries(pkg, innerOpts, tracker),
+                getPublishOpts(pkg),
+                this.otpCache
+              )
+            )
+            .then(
+              () => {
+                tracker.success("published", pkg.name, pkg.version);
+                tracker.completeWork(1);
+
+                this.publishStatus.set(pkg.name, { status: "published" });
+                emitPublished(pkg, getPublishOpts(pkg), false);
+
+                logPacked(pkg.packed);
+
+                // without --temp-tag, the upload applies the final dist-tag
+                const distTagged = !this.options.tempTag;
+
+                return this.journal.recordPublished(pkg, { distTagged }).then(() => pkg);
+              },
+              err => {
+                this.publishStatus.set(pkg.name, { status: "failed", error: err });
+                this.emitProgress("failed", pkg, { error: err });
+
+                throw err;
+              }
+            ),
+
+        pkg => this.publishMirrors(pkg, tracker),
+
+        pkg =>
+          this.runHook("afterPublish", pkg).then(
+            () => pkg,
+            err => {
+              // already on the registry, so any --on-failure rollback still includes it
+              this.publishStatus.set(pkg.name, { status: "failed", error: err, uploaded: true });
+              this.emitProgress("failed", pkg, { error: err });
+
+              throw err;
+            }
+          ),
+
+        this.options.requireScripts && (pkg => this.execScript(pkg, "postpublish")),
+      ].filter(Boolean)
+    );
+
+    const mapper = pkg => {
+      if (!this.alreadyPublished.has(pkg.name)) {
+        return publishMapper(pkg);
+      }
+
+      // verified against the registry when resuming
+      return this.undoRollback(pkg, tracker).then(() => {
+        tracker.info("published", "%s@%s (previous run)", pkg.name, pkg.version);
+        tracker.completeWork(1);
+
+        this.publishStatus.set(pkg.name, { status: "published" });
+        emitPublished(pkg, getPublishOpts(pkg), true);
+
+        return this.journal.recordPublished(pkg).then(() => this.publishMirrors(pkg, tracker));
+      });
+    };
+
+    if (this.onFailure === "retag") {
+      // remember where the dist-tags pointed, so they can be moved back
+      chain = chain.then(() => this.recordPreviousDistTags());
+    }
+
+    // unlike runParallelBatches(), a failure waits for the uploads already running in its batch,
+    // so that the rollback below sees every package that reached the registry
+    const publishBatch = batch => {
+      let firstError;
+
+      const settle = pkg => {
+        if (firstError) {
+          // not started yet, stays pending
+          return;
+        }
+
+        return mapper(pkg).catch(err => {
+          firstError = firstError || err;
+        });
+      };
+
+      return pMap(batch, settle, { concurrency: this.concurrency }).then(() => {
+        if (firstError) {
+          throw firstError;
+        }
+      });
+    };
+
+    chain = chain.then(() => pReduce(this.batchedPackages, (_, batch) => publishBatch(batch), null));
+
+    if (this.onFailure !== "none") {
+      // roll back the partial release if _any_ package fails to publish
+      chain = chain.catch(error => this.rollbackOnError(error));
+    }
+
+    if (!this.hasRootedLeaf) {
+      // cyclical "publish" lifecycles are automatically skipped
+      chain = chain.then(() => this.runRootLifecycle("publish"));
+      chain = chain.then(() => this.runRootLifecycle("postpublish"));
+    }
+
+    return pFinally(chain, () => tracker.finish());
+  }
+
+  recordPreviousDistTags() {
+    this.previousDistTags = new Map();
+
+    return pMap(
+      this.packagesToPublish,
+      pkg =>
+        npmDistTag.list(pkg.name, this.getPackageFetchOpts(pkg)).then(
+          tags => this.previousDistTags.set(pkg.name, tags),
+          err => {
+            // never published before, nothing to move back to
+            this.logger.silly("EDISTTAG", err.message);
+            this.previousDistTags.set(pkg.name, {});
+          }
+        ),
+      { concurrency: 4 }
+    );
+  }
+
+  undoRollback(pkg, tracker) {
+    const { rolledBack } = this.journal.get(pkg.name) || {};
+
+    // unpublished versions are missing from the registry, and simply published again
+    if (rolledBack !== "deprecate" && rolledBack !== "retag") {
+      return Promise.resolve();
+    }
+
+    const opts = this.getPackageFetchOpts(pkg);
+    const spec = this.getRegistrySpec(pkg);
+    const distTag = this.getPackageDistTag(pkg);
+
+    if (rolledBack === "deprecate") {
+      tracker.info("resume", "%s was deprecated by --on-failure, undeprecating", spec);
+
+      // an empty message clears the deprecation
+      return otplease(innerOpts => npmDeprecate(spec, "", innerOpts), opts, this.otpCache);
+    }
+
+    if (this.options.tempTag) {
+      // moved by npmUpdateAsLatest(), the journal no longer records it as dist-tagged
+      return Promise.resolve();
+    }
+
+    tracker.info("resume", "%s was retagged by --on-failure, moving %j back", spec, distTag);
+
+    return this.addDistTag(spec, distTag, opts, tracker).then(() => this.journal.recordDistTagged(pkg));
+  }
+
+  rollbackOnError(error) {
+    // including packages whose afterPublish hook failed after the upload
+    const published = this.packagesToPublish.filter(pkg => {
+      const { status, uploaded } = this.publishStatus.get(pkg.name) || {};
+
+      return status === "published" || uploaded;
+    });
+
+    if (!published.length) {
+      return Promise.reject(error);
+    }
+
+    const failed = this.packagesToPublish
+      .filter(pkg => (this.publishStatus.get(pkg.name) || {}).status === "failed")
+      .map(pkg => `${pkg.name}@${pkg.version}`);
+
+    const message = `Incomplete release (publish session ${this.npmSession}): ${
+      failed.length ? failed.join(", ") : "a later package"
+    } failed to publish`;
+
+    const actions = {
+      deprecate: (pkg, opts) => npmDeprecate(`${pkg.name}@${pkg.version}`, message, opts),
+      unpublish: (pkg, opts) => pulseTillDone(unpublish(this.getRegistrySpec(pkg), opts)),
+      retag: (pkg, opts) => this.retagPrevious(pkg, opts),
+    };
+
+    const tracker = this.logger.newItem("rollback");
+
+    tracker.addWork(published.length);
+
+    const mapper = pkg =>
+      otplease(opts => actions[this.onFailure](pkg, opts), this.getPackageFetchOpts(pkg), this.otpCache).then(
+        () => {
+          tracker.warn(this.onFailure, "%s@%s", pkg.name, pkg.version);
+          tracker.completeWork(1);
+
+          this.publishStatus.set(
+            pkg.name,
+            Object.assign({}, this.publishStatus.get(pkg.name), {
+              status: "rolled-back",
+              rollback: { action: this.onFailure },
+            })
+          );
+
+          return this.journal.recordRolledBack(pkg, this.onFailure);
+        },
+        err => {
+          tracker.error(this.onFailure, "%s@%s could not be rolled back", pkg.name, pkg.version, err.message);
+          tracker.completeWork(1);
+
+          // still on the registry, whatever made the release fail
+          this.publishStatus.set(
+            pkg.name,
+            Object.assign({}, this.publishStatus.get(pkg.name), {
+              rollback: { action: this.onFailure, error: err },
+            })
+          );
+        }
+      );
+
+    return Promise.resolve()
+      .then(() => pMap(published, mapper, { concurrency: 4 }))
+      .then(() => {
+        const summary = published.map(pkg => {
+          const { status } = this.publishStatus.get(pkg.name);
+          const outcome = status === "rolled-back" ? this.onFailure : `${this.onFailure} FAILED`;
+
+          return ` - ${pkg.name}@${pkg.version} (${outcome})`;
+        });
+
+        if (!this.options.json) {
+          output("Publishing failed, rolled back:");
+          output(summary.join(os.EOL));
+        }
+      })
       .then(() => {
+        tracker.finish();
+
         // restore original error into promise chain
         throw error;
       });
   }
 
-  packUpdated() {
-    const tracker = this.logger.newItem("npm pack");
+  retagPrevious(pkg, opts) {
+    const distTag = this.getPackageDistTag(pkg);
+    const previous = (this.previousDistTags.get(pkg.name) || {})[distTag];
 
-    tracker.addWork(this.packagesToPublish.length);
+    if (!previous) {
+      return Promise.reject(new Error(`no previous version was tagged "${distTag}"`));
+    }
+
+    return pulseTillDone(npmDistTag.add(`${pkg.name}@${previous}`, distTag, opts));
+  }
+
+  verifyPublished() {
+    const published = this.packagesToPublish.filter(
+      pkg => (this.publishStatus.get(pkg.name) || {}).status === "published"
+    );
+
+    const options = {
+      timeout: Number(this.options.verifyPublishedTimeout) || 120000,
+      backoff: Number(this.options.verifyPublishedBackoff) || 1000,
+    };
+
+    const tracker = this.logger.newItem("verify");
+    tracker.addWork(published.length);
+
+    const mapper = pkg => {
+      const expected = {
+        name: pkg.name,
+        version: pkg.version,
+        distTag: this.getPackageDistTag(pkg),
+        integrity: pkg.packed.integrity.toString(),
+        shasum: pkg.packed.shasum,
+      };
+
+      return verifyPublished(expected, options, this.getPackageFetchOpts(pkg)).then(problem => {
+        tracker.completeWork(1);
+
+        if (!problem) {
+          tracker.info("verified", pkg.name, pkg.version);
+        }
+
+        return problem && ` - ${pkg.name}@${pkg.version}: ${problem}`;
+      });
+    };
+
+    // every package is polled, so all problems are reported at once
+    const chain = pMap(published, mapper, { concurrency: this.concurrency }).then(results => {
+      const problems = results.filter(Boolean);
+
+      if (problems.length) {
+        throw new ValidationError(
+          "EVERIFY",
+          `The registry does not serve what was published:${os.EOL}${problems.join(os.EOL)}`
+        );
+      }
+
+      const noun = published.length === 1 ? "package" : "packages";
+
+      this.logger.success("verified", "%d %s", published.length, noun);
+    });
+
+    return pFinally(chain, () => tracker.finish());
+  }
+
+  tagPublished() {
+    // skipped and failed packages never reach the registry, so they are never tagged
+    const published = this.packagesToPublish.filter(
+      pkg => (this.publishStatus.get(pkg.name) || {}).status === "published"
+    );
+
+    // the same tag for every package (e.g. "v{version}" in fixed mode) is only created once
+    const tags = new Map();
+
+    for (const pkg of published) {
+      const tag = this.gitTagFormat.replace("{name}", pkg.name).replace("{version}", pkg.version);
+
+      if (!tags.has(tag)) {
+        tags.set(tag, pkg.get("gitHead") || "HEAD");
+      }
+
+      this.gitTags.set(pkg.name, tag);
+    }
 
     let chain = Promise.resolve();
 
-    chain = chain.then(() => createTempLicenses(this.project.licensePath, this.packagesToBeLicensed));
+    chain = chain.then(() => getExistingTags(Array.from(tags.keys()), this.execOpts));
+    chain = chain.then(existing => {
+      const created = [];
 
-    if (!this.hasRootedLeaf) {
-      // despite being deprecated for years...
-      chain = chain.then(() => this.runRootLifecycle("prepublish"));
+      for (const tag of existing) {
+        this.logger.notice("git-tag", "%s already exists, leaving it as it is", tag);
+      }
 
-      // these lifecycles _should_ never be employed to run `lerna publish`...
-      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepare"));
-      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepublishOnly"));
-      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "prepack"));
+      return pReduce(
+        Array.from(tags).filter(([tag]) => !existing.has(tag)),
+        (_, [tag, ref]) =>
+          gitTag(tag, ref, this.execOpts).then(() => {
+            this.logger.info("git-tag", tag);
+            created.push(tag);
+          }),
+        null
+      ).then(() => created);
+    });
+
+    if (this.options.gitPushTags) {
+      chain = chain.then(created => {
+        if (!created.length) {
+          return;
+        }
+
+        const noun = created.length === 1 ? "tag" : "tags";
+
+        this.logger.info("git-push", "%d %s to %s", created.length, noun, this.options.gitPushTags);
+
+        return gitPushTags(this.options.gitPushTags, created, this.execOpts);
+      });
     }
 
+    return chain;
+  }
+
+  writePackedDirectory() {
+    const batches = this.batchedPackages.map(batch =>
+      batch.map(pkg => ({ pkg, distTag: this.getPackageDistTag(pkg) }))
+    );
+
+    const outDir = path.resolve(this.options.outDir);
+    const options = { canary: Boolean(this.options.canary) };
+
+    return writePackedDirectory(outDir, batches, options).then(manifestLocation => {
+      this.logger.info("pack-only", "wrote %s", path.relative(process.cwd(), manifestLocation));
+    });
+  }
+
+  lintPacked() {
     const { contents } = this.options;
-    const getLocation = contents ? pkg => path.resolve(pkg.location, contents) : pkg => pkg.location;
 
-    const opts = this.conf.snapshot;
-    const mapper = pPipe(
-      [
-        this.options.requireScripts && (pkg => this.execScript(pkg, "prepublish")),
+    // with --contents, the tarball holds the package.json of that directory instead
+    const readManifest = pkg =>
+      contents ? fs.readJson(path.resolve(pkg.location, contents, "package.json")) : pkg.toJSON();
 
-        pkg =>
-          pulseTillDone(packDirectory(pkg, getLocation(pkg), opts)).then(packed => {
-            tracker.verbose("packed", pkg.name, path.relative(this.project.rootPath, getLocation(pkg)));
-            tracker.completeWork(1);
+    return pMap(this.packagesToPublish, readManifest).then(manifests => {
+      // every package is checked, so all violations are reported at once
+      const violations = [];
 
-            // store metadata for use in this.publishPacked()
-            pkg.packed = packed;
+      this.packagesToPublish.forEach((pkg, idx) => {
+        const rules = this.getLintRules(pkg);
 
-            // manifest may be mutated by any previous lifecycle
-            return pkg.refresh();
-          }),
-      ].filter(Boolean)
-    );
+        if (rules) {
+          for (const violation of lintPacked(pkg, rules, manifests[idx])) {
+            violations.push(` - ${pkg.name}: ${violation}`);
+          }
+        }
+      });
 
-    chain = chain.then(() =>
-      pReduce(this.batchedPackages, (_, batch) => pMap(batch, mapper, { concurrency: 10 }))
+      if (violations.length) {
+        throw new ValidationError(
+          "ELINT",
+          `The following packed tarballs failed linting:${os.EOL}${violations.join(os.EOL)}${
+            os.EOL
+          }Fix the packages, or adjust command.publish.lint in lerna.json.`
+        );
+      }
+    });
+  }
+
+  getLintRules(pkg) {
+    const { lint } = this.options;
+
+    if (lint === false) {
+      return false;
+    }
+
+    const config = Object.assign({}, lintPacked.DEFAULT_RULES, lint);
+    const override = (config.packages || {})[pkg.name];
+
+    // a package can opt out entirely, or replace individual rules
+    return override === false ? false : Object.assign(config, override);
+  }
+
+  getRangePolicy(pkg, depType) {
+    const { defaults, packages } = this.rangePolicy;
+    const override = packages[pkg.name] || {};
+
+    return override[depType] || defaults[depType];
+  }
+
+  isWorkspaceSpec(pkg, depName, depType) {
+    return (this.workspaceSpecs.get(pkg.name) || []).some(
+      replaced => replaced.depName === depName && (!depType || replaced.depType === depType)
     );
+  }
 
-    chain = chain.then(() => removeTempLicenses(this.packagesToBeLicensed));
+  getRangePrefix(pkg, depType, depName, depVersion) {
+    const spec = pkg.get(depType)[depName];
+    const fromWorkspace = this.isWorkspaceSpec(pkg, depName, depType);
+    const canary = Boolean(this.canaryVersions && this.canaryVersions.has(depName));
 
-    // remove temporary license files if _any_ error occurs _anywhere_ in the promise chain
-    chain = chain.catch(error => this.removeTempLicensesOnError(error));
+    if (fromWorkspace && !canary && !this.getRangePolicy(pkg, depType)) {
+      // already resolved to the range it asked for, see runPreparations()
+      return null;
+    }
 
-    if (!this.hasRootedLeaf) {
-      chain = chain.then(() => this.runPackageLifecycle(this.project.manifest, "postpack"));
+    // without a policy, sibling canary versions are pinned exactly (workspace: specs included),
+    // and everything else gets the save prefix
+    const policy = this.getRangePolicy(pkg, depType);
+    const fallback = canary ? "" : this.savePrefix;
+    const savePrefix = policy ? rangePolicy.getRangePrefix(policy, spec, depVersion) : fallback;
+
+    this.logger.silly("range-policy", "%s: %s %s (%s)", pkg.name, depName, spec, policy || "default");
+
+    // a file: link has no operator to preserve
+    return savePrefix === undefined ? fallback : savePrefix;
+  }
+
+  reportDryRun() {
+    const depTypes = ["dependencies", "optionalDependencies", "peerDependencies", "devDependencies"];
+
+    const message = this.packagesToPublish.map(pkg => {
+      const { filename, size, entryCount } = pkg.packed;
+      const original = this.originalManifests.get(pkg.name);
+      const lines = [
+        ` - ${pkg.name}@${pkg.version}`,
+        `     dist-tag: ${this.getPackageDistTag(pkg)}`,
+        `     registry: ${this.getPackageRegistries(pkg).join(", ")}`,
+        `     tarball:  ${filename} (${size} bytes, ${entryCount} ${entryCount === 1 ? "file" : "files"})`,
+      ];
+
+      for (const depType of depTypes) {
+        const before = original[depType] || {};
+        const after = pkg.get(depType) || {};
+
+        for (const depName of Object.keys(after)) {
+          if (before[depName] !== after[depName]) {
+            lines.push(`     ${depType}: ${depName} ${before[depName]} => ${after[depName]}`);
+          }
+        }
+      }
+
+      return lines.join(os.EOL);
+    });
+
+    if (this.options.json) {
+      // the JSON report already covers everything listed here
+      return;
     }
 
-    return pFinally(chain, () => tracker.finish());
+    output("Dry run, the following would have been published:");
+    output(message.join(os.EOL));
   }
 
-  publishPacked() {
-    const tracker = this.logger.newItem("publish");
+  publishWithRetries(pkg, opts, tracker, upload = this.uploadPacked(pkg)) {
+    return publishWithRetries(
+      upload,
+      opts,
+      Object.assign(
+        { spec: `${pkg.name}@${pkg.version}`, integrity: pkg.packed.integrity.toString(), tracker },
+        this.retryOptions
+      )
+    );
+  }
 
-    tracker.addWork(this.packagesToPublish.length);
+  uploadPacked(pkg, manifest) {
+    if (!manifest) {
+      // the primary registry, with the manifest on disk
+      // an EOTP failure is logged as an error before otplease() gets to prompt for a code
+      return opts =>
+        npmPublish(pkg, pkg.packed.tarFilePath, Object.assign({}, opts, { log: otplease.quietLog() }));
+    }
 
-    let chain = Promise.resolve();
+    return opts => fs.readFile(pkg.packed.tarFilePath).then(tarData => publish(manifest, tarData, opts));
+  }
 
-    const opts = Object.assign(this.conf.snapshot, {
-      // distTag defaults to "latest" OR whatever is in pkg.publishConfig.tag
-      // if we skip temp tags we should tag with the proper value immediately
-      tag: this.options.tempTag ? "lerna-temp" : this.conf.get("tag"),
-    });
+  publishMirrors(pkg, tracker) {
+    const mirrors = this.getPackageRegistries(pkg).slice(1);
+    const statuses = new Map(mirrors.map(registry => [registry, { status: "pending" }]));
 
-    const mapper = pPipe(
-      [
-        pkg =>
-          pulseTillDone(npmPublish(pkg, pkg.packed.tarFilePath, opts)).then(() => {
-            tracker.success("published", pkg.name, pkg.version);
-            tracker.completeWork(1);
+    this.mirrorStatus.set(pkg.name, statuses);
 
-            logPacked(pkg.packed);
+    if (!mirrors.length) {
+      return Promise.resolve(pkg);
+    }
 
-            return pkg;
-          }),
+    const distTag = this.getPackageDistTag(pkg);
 
-        this.options.requireScripts && (pkg => this.execScript(pkg, "postpublish")),
-      ].filter(Boolean)
-    );
+    // the packed manifest, pointed at each mirror in turn instead of the primary registry
+    const getManifest = registry => {
+      const manifest = pkg.toJSON();
 
-    chain = chain.then(() => runParallelBatches(this.batchedPackages, this.concurrency, mapper));
+      if (manifest.publishConfig) {
+        manifest.publishConfig = Object.assign({}, manifest.publishConfig, { registry, tag: distTag });
+      }
 
-    if (!this.hasRootedLeaf) {
-      // cyclical "publish" lifecycles are automatically skipped
-      chain = chain.then(() => this.runRootLifecycle("publish"));
-      chain = chain.then(() => this.runRootLifecycle("postpublish"));
+      return manifest;
+    };
+
+    // mirrors get the final dist-tag right away, --temp-tag only guards the primary registry
+    const mapper = registry =>
+      otplease(
+        innerOpts =>
+          this.publishWithRetries(pkg, innerOpts, tracker, this.uploadPacked(pkg, getManifest(registry))),
+        Object.assign(this.getPackageFetchOpts(pkg), { registry, tag: distTag }),
+        this.otpCache
+      ).then(
+        () => {
+          tracker.success("mirrored", "%s@%s to %s", pkg.name, pkg.version, registry);
+          statuses.set(registry, { status: "published" });
+
+          this.emitProgress("mirrored", pkg, { registry, distTag });
+        },
+        err => {
+          // a failed mirror does not stop the release, it is reported once every package is done
+          tracker.error("mirror", "%s@%s to %s: %s", pkg.name, pkg.version, registry, err.message);
+          statuses.set(registry, { status: "failed", error: err });
+        }
+      );
+
+    return pMap(mirrors, mapper).then(() => pkg);
+  }
+
+  getPartialMirrors() {
+    const partial = [];
+
+    for (const [name, statuses] of this.mirrorStatus) {
+      for (const [registry, { status, error }] of statuses) {
+        if (status === "failed") {
+          partial.push(` - ${name}: ${registry} (${error.code || error.message})`);
+        }
+      }
     }
 
-    return pFinally(chain, () => tracker.finish());
+    return partial;
+  }
+
+  verifyMirrored() {
+    const partial = this.getPartialMirrors();
+
+    if (partial.length) {
+      throw new ValidationError(
+        "EMIRROR",
+        `Published, but not mirrored to every registry:${os.EOL}${partial.join(os.EOL)}${
+          os.EOL
+        }Run again with --resume to retry the missing mirrors.`
+      );
+    }
+  }
+
+  addDistTag(spec, distTag, opts, tracker) {
+    // a no-op when a previous attempt already went through
+    const add = innerOpts =>
+      withRetries(
+        () => pulseTillDone(npmDistTag.add(spec, distTag, this.withoutFetchRetries(innerOpts))),
+        this.getRetryOptions(tracker, `dist-tag add ${spec} ${distTag}`)
+      );
+
+    return otplease(add, opts, this.otpCache);
+  }
+
+  withoutFetchRetries(opts) {
+    // retries are counted by --publish-retries alone, instead of on top of npm-registry-fetch's own
+    return Object.assign({}, opts, { "fetch-retries": 0 });
+  }
+
+  getRetryOptions(tracker, action) {
+    return withRetries.getRetryOptions(tracker, action, this.retryOptions);
   }
 
   npmUpdateAsLatest() {
@@ -463,27 +2303,38 @@ class PublishCommand extends Command {
 
     let chain = Promise.resolve();
 
-    const opts = this.conf.snapshot;
-    const getDistTag = publishConfig => {
-      if (opts.tag === "latest" && publishConfig && publishConfig.tag) {
-        return publishConfig.tag;
+    const mapper = pkg => {
+      const opts = this.getPackageFetchOpts(pkg);
+      const spec = this.getRegistrySpec(pkg);
+      const distTag = this.getPackageDistTag(pkg);
+      const journaled = this.journal.get(pkg.name);
+
+      if (journaled && journaled.distTagged) {
+        tracker.info("dist-tag", "%s@%s => %j (previous run)", pkg.name, pkg.version, distTag);
+        tracker.completeWork(1);
+
+        return pkg;
       }
 
-      return opts.tag;
-    };
-    const mapper = pkg => {
-      const spec = `${pkg.name}@${pkg.version}`;
-      const distTag = getDistTag(pkg.get("publishConfig"));
+      // a no-op when a previous attempt already went through
+      const removeTempTag = innerOpts =>
+        withRetries(
+          () => pulseTillDone(npmDistTag.remove(spec, "lerna-temp", this.withoutFetchRetries(innerOpts))),
+          this.getRetryOptions(tracker, `dist-tag rm ${spec} lerna-temp`)
+        );
 
       return Promise.resolve()
-        .then(() => pulseTillDone(npmDistTag.remove(spec, "lerna-temp", opts)))
-        .then(() => pulseTillDone(npmDistTag.add(spec, distTag, opts)))
+        .then(() => otplease(removeTempTag, opts, this.otpCache))
+        .then(() => this.addDistTag(spec, distTag, opts, tracker))
         .then(() => {
           tracker.success("dist-tag", "%s@%s => %j", pkg.name, pkg.version, distTag);
           tracker.completeWork(1);
 
-          return pkg;
-        });
+          this.emitProgress("dist-tagged", pkg, { registry: this.getPackageRegistry(pkg), distTag });
+
+          return this.journal.recordDistTagged(pkg);
+        })
+        .then(() => pkg);
     };
 
     chain = chain.then(() => runParallelBatches(this.batchedPackages, this.concurrency, mapper));
@@ -502,6 +2353,67 @@ class PublishCommand extends Command {
 
     // undefined defaults to "latest" OR whatever is in pkg.publishConfig.tag
   }
+
+  getPackageDistTag(pkg) {
+    const tag = this.conf.get("tag");
+    const publishConfig = pkg.get("publishConfig");
+    const distTag = tag === "latest" && publishConfig && publishConfig.tag ? publishConfig.tag : tag;
+
+    // --prerelease-dist-tag diverts prereleases that would otherwise become "latest"
+    if (distTag === "latest" && semver.prerelease(pkg.version) && this.options.prereleaseDistTag) {
+      return this.options.prereleaseDistTag;
+    }
+
+    return distTag;
+  }
+
+  getDistTagPolicyViolation(version, distTag, current) {
+    // shared by publishing, the dist-tag mode and publish-packed, so none can do what another refuses
+    return getDistTagPolicyViolation(version, distTag, current, this.options);
+  }
+
+  getRegistrySpec(pkg) {
+    // dist-tags and unpublishing refer to the version as the registry stores it
+    return `${pkg.name}@${getRegistryVersion(pkg.version)}`;
+  }
+
+  getPackageFetchOpts(pkg) {
+    return Object.assign(this.conf.snapshot, {
+      registry: this.getPackageRegistry(pkg),
+    });
+  }
+
+  getPackageRegistry(pkg) {
+    // the primary registry, which every check before and after publishing is made against
+    return this.getPackageRegistries(pkg)[0];
+  }
+
+  getPackageRegistries(pkg) {
+    const { registry, publishRegistries } = this.options;
+    const publishConfig = pkg.get("publishConfig") || {};
+
+    // an explicit --registry applies to every package, and any repeats are mirrors
+    if (registry) {
+      return [this.conf.get("registry")].concat([].concat(registry).slice(1));
+    }
+
+    if (publishRegistries && publishRegistries.length) {
+      return [].concat(publishRegistries);
+    }
+
+    if (publishConfig.publishRegistries && publishConfig.publishRegistries.length) {
+      return [].concat(publishConfig.publishRegistries);
+    }
+
+    if (publishConfig.registry) {
+      return [publishConfig.registry];
+    }
+
+    // honours @scope:registry from npm config
+    return [pickRegistry(npa(pkg.name), this.conf.snapshot)];
+  }
 }
 
 module.exports.PublishCommand = PublishCommand;
+module.exports.publishCurrentVersion = publishCurrentVersion;
+module.exports.publishPackedDirectory = publishPackedDirectory;
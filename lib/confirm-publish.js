@@ -0,0 +1,62 @@
+"use strict";
+
+const os = require("os");
+const log = require("npmlog");
+const output = require("@lerna/output");
+const PromptUtilities = require("@lerna/prompt");
+const ValidationError = require("@lerna/validation-error");
+
+module.exports = confirmPublish;
+module.exports.needsConfirmation = needsConfirmation;
+
+/**
+ * Decide whether the publish has to be confirmed, failing when nobody could answer the prompt
+ * @param {Object} options parsed CLI options
+ * @returns {Boolean}
+ */
+function needsConfirmation(options) {
+  const needed = !options.yes && !options.dryRun && !options.packOnly;
+
+  // there is nobody to answer the confirmation prompt in CI or when stdin is not a terminal
+  if (needed && (options.ci || !process.stdin.isTTY)) {
+    throw new ValidationError(
+      "ENOTTY",
+      "Unable to confirm publish in a non-interactive environment, pass --yes to skip the prompt"
+    );
+  }
+
+  return needed;
+}
+
+/**
+ * List the packages about to be published, and ask whether to go ahead
+ * @param {String[]} lines one per package
+ * @param {Object} options { json, needsConfirmation }
+ * @returns {Promise<Boolean>}
+ */
+function confirmPublish(lines, options) {
+  // stdout is reserved for the JSON report
+  const print = options.json ? str => log.notice("", str) : output;
+
+  print("");
+  print(`Found ${lines.length} ${lines.length === 1 ? "package" : "packages"} to publish:`);
+  print(lines.join(os.EOL));
+  print("");
+
+  if (!options.needsConfirmation) {
+    log.info("auto-confirmed");
+
+    return Promise.resolve(true);
+  }
+
+  return PromptUtilities.select("Are you sure you want to publish the above changes?", {
+    // the first choice is the default, so a stray keypress publishes nothing
+    choices: [{ name: "No", value: false }, { name: "Yes", value: true }],
+  }).then(confirmed => {
+    if (!confirmed) {
+      log.info("publish", "Aborted, nothing was published");
+    }
+
+    return confirmed;
+  });
+}
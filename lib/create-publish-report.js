@@ -0,0 +1,40 @@
+"use strict";
+
+module.exports = createPublishReport;
+module.exports.toReportError = toReportError;
+module.exports.createPublishResult = createPublishResult;
+
+/**
+ * The report written by --json and --report-file
+ * @param {Object[]} packages one entry per package, with its status
+ * @param {Object} options { error, dryRun }
+ * @returns {Object}
+ */
+function createPublishReport(packages, { error, dryRun = false }) {
+  return {
+    success: !error,
+    dryRun,
+    error: toReportError(error),
+    packages,
+  };
+}
+
+/**
+ * The report, along with its packages grouped by outcome, as resolved by the programmatic API
+ * @param {Object} report from createPublishReport()
+ * @returns {Object}
+ */
+function createPublishResult(report) {
+  const withStatus = (...statuses) => report.packages.filter(entry => statuses.includes(entry.status));
+
+  return Object.assign(report, {
+    published: withStatus("published"),
+    skipped: withStatus("skipped"),
+    failed: withStatus("failed", "rolled-back"),
+  });
+}
+
+function toReportError(err) {
+  // validation errors only have a prefix
+  return err ? { code: err.code || err.prefix || null, message: err.message } : null;
+}
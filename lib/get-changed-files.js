@@ -0,0 +1,25 @@
+"use strict";
+
+const path = require("path");
+const log = require("npmlog");
+const childProcess = require("@lerna/child-process");
+
+module.exports = getChangedFiles;
+
+/**
+ * List the files in a directory that changed since a git ref
+ * @param {String} ref any committish, e.g. a release tag
+ * @param {String} location absolute path of the directory
+ * @param {Object} execOpts { cwd } of the repository
+ * @returns {Promise<String[]>} paths relative to the repository root
+ */
+function getChangedFiles(ref, location, execOpts) {
+  // git always wants forward slashes, even on Windows
+  const relativeLocation = path.relative(execOpts.cwd, location).split(path.sep).join("/");
+
+  log.silly("getChangedFiles", ref, relativeLocation);
+
+  return childProcess
+    .exec("git", ["diff", "--name-only", ref, "--", relativeLocation || "."], execOpts)
+    .then(result => result.stdout.split("\n").filter(Boolean));
+}
@@ -0,0 +1,23 @@
+"use strict";
+
+const semver = require("semver");
+
+module.exports = getDistTagPolicyViolation;
+
+/**
+ * Check a version against the dist-tag it is about to be published under
+ * @param {String} version
+ * @param {String} distTag
+ * @param {String} [current] the version the dist-tag points at now, if any
+ * @param {Object} options { allowPrereleaseLatest, allowDowngrade }
+ * @returns {String|undefined} the problem, if any
+ */
+function getDistTagPolicyViolation(version, distTag, current, { allowPrereleaseLatest, allowDowngrade }) {
+  if (distTag === "latest" && semver.prerelease(version) && !allowPrereleaseLatest) {
+    return `${version} is a prerelease`;
+  }
+
+  if (current && semver.valid(current) && semver.lt(version, current) && !allowDowngrade) {
+    return `${version} is lower than "${distTag}" (${current})`;
+  }
+}
@@ -0,0 +1,19 @@
+"use strict";
+
+const log = require("npmlog");
+const childProcess = require("@lerna/child-process");
+
+module.exports = getExistingTags;
+
+function getExistingTags(tags, execOpts) {
+  log.silly("getExistingTags", tags);
+
+  const opts = Object.assign({}, execOpts, {
+    // don't reject due to non-zero exit code when there are no results
+    reject: false,
+  });
+
+  return childProcess
+    .exec("git", ["tag", "--list"].concat(tags), opts)
+    .then(result => new Set(result.stdout.split("\n").filter(Boolean)));
+}
@@ -23,7 +23,7 @@ function getNpmUsername(_opts) {
     if (!result.username) {
       throw new ValidationError(
         "ENEEDAUTH",
-        "You must be logged in to publish packages. Use `npm login` and try again."
+        `You must be logged in to publish packages to ${opts.registry}. Use \`npm login\` and try again.`
       );
     }
 
@@ -37,8 +37,13 @@ function getNpmUsername(_opts) {
     console.error(err.message); // eslint-disable-line no-console
     opts.log.resume();
 
-    if (opts.registry === "https://registry.npmjs.org/") {
-      throw new ValidationError("EWHOAMI", "Authentication error. Use `npm whoami` to troubleshoot.");
+    // a rejected (or missing) token is fatal on any registry
+    if (opts.registry === "https://registry.npmjs.org/" || err.code === "E401" || err.code === "E403") {
+      throw new ValidationError(
+        "EWHOAMI",
+        `Authentication error for ${opts.registry}. ` +
+          `Use \`npm whoami --registry ${opts.registry}\` to troubleshoot.`
+      );
     }
 
     opts.log.warn(
@@ -0,0 +1,28 @@
+"use strict";
+
+const fetch = require("npm-registry-fetch");
+const npa = require("npm-package-arg");
+const FetchConfig = require("./fetch-config");
+const getRegistryVersion = require("./get-registry-version");
+
+module.exports = getPublishedDist;
+
+function getPublishedDist(spec, _opts) {
+  const parsed = npa(spec);
+  const opts = FetchConfig(_opts, {
+    // a cached packument would not show an upload that just happened
+    "prefer-online": true,
+    spec: parsed,
+  });
+
+  const { name, escapedName, rawSpec: version } = parsed;
+
+  opts.log.silly("getPublishedDist", `${name}@${version}`);
+
+  return fetch.json(`/${escapedName}`, opts).then(packument => {
+    const manifest = packument.versions && packument.versions[getRegistryVersion(version)];
+
+    // { integrity, shasum, tarball }
+    return manifest && manifest.dist;
+  });
+}
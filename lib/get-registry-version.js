@@ -0,0 +1,14 @@
+"use strict";
+
+const semver = require("semver");
+
+module.exports = getRegistryVersion;
+
+/**
+ * The version as the registry stores it, without build metadata such as the +sha of canary versions
+ * @param {String} version
+ * @returns {String}
+ */
+function getRegistryVersion(version) {
+  return semver.clean(version) || version;
+}
@@ -3,9 +3,16 @@
 const log = require("npmlog");
 const pMap = require("p-map");
 const getPackument = require("pacote/packument");
+const getRegistryVersion = require("./get-registry-version");
 
 module.exports = getUnpublishedPackages;
 
+/**
+ * Find the packages whose current version is not on the registry yet
+ * @param {Map} packageGraph nodes to check
+ * @param {Object|Function} opts registry options, or a function returning them for each node
+ * @returns {Promise<PackageGraphNode[]>}
+ */
 function getUnpublishedPackages(packageGraph, opts) {
   log.silly("getUnpublishedPackages");
 
@@ -15,13 +22,19 @@ function getUnpublishedPackages(packageGraph, opts) {
   const graphNodesToCheck = Array.from(packageGraph.values()).filter(({ pkg }) => !pkg.private);
 
   const mapper = pkg =>
-    getPackument(pkg.name, opts).then(
+    getPackument(pkg.name, typeof opts === "function" ? opts(pkg) : opts).then(
       packument => {
-        if (packument.versions[pkg.version] === undefined) {
+        if (packument.versions[getRegistryVersion(pkg.version)] === undefined) {
           return pkg;
         }
       },
-      () => {
+      err => {
+        if (err.code === "E404") {
+          // never published at all
+          log.verbose("", "%j has not been published yet", pkg.name);
+          return pkg;
+        }
+
         log.warn("", "Unable to determine published version, assuming %j unpublished.", pkg.name);
         return pkg;
       }
@@ -0,0 +1,13 @@
+"use strict";
+
+const log = require("npmlog");
+const childProcess = require("@lerna/child-process");
+
+module.exports = gitPushTags;
+
+function gitPushTags(remote, tags, opts) {
+  log.silly("gitPushTags", remote, tags);
+
+  // only the given tags, never the current branch
+  return childProcess.exec("git", ["push", remote].concat(tags.map(tag => `refs/tags/${tag}`)), opts);
+}
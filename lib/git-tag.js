@@ -0,0 +1,13 @@
+"use strict";
+
+const log = require("npmlog");
+const childProcess = require("@lerna/child-process");
+
+module.exports = gitTag;
+
+function gitTag(tag, ref, opts) {
+  log.silly("gitTag", tag, ref);
+
+  // annotated, so `git describe` and `--follow-tags` pick it up
+  return childProcess.exec("git", ["tag", "--annotate", tag, "--message", tag, ref], opts);
+}
@@ -0,0 +1,79 @@
+"use strict";
+
+const path = require("path");
+const minimatch = require("minimatch");
+
+module.exports = lintPacked;
+module.exports.DEFAULT_RULES = {
+  maxSize: undefined,
+  forbidden: [".env", "*.pem", ".npmrc", "**/__fixtures__/**", "**/test/fixtures/**"],
+  requireReadme: true,
+  checkEntryPoints: true,
+};
+
+/**
+ * Check a packed tarball against a set of rules
+ * @param {Package} pkg package with its pack metadata in pkg.packed
+ * @param {Object} rules { maxSize, forbidden, requireReadme, checkEntryPoints }
+ * @param {Object} [manifest] the package.json inside the tarball, when it was packed from another directory
+ * @returns {String[]} violations, empty when the tarball passes
+ */
+function lintPacked(pkg, rules, manifest = pkg.toJSON()) {
+  const { size, files } = pkg.packed;
+  const filePaths = new Set(files.map(file => file.path));
+  const violations = [];
+
+  if (rules.maxSize && size > rules.maxSize) {
+    violations.push(`tarball is ${size} bytes, over the budget of ${rules.maxSize} bytes`);
+  }
+
+  for (const filePath of filePaths) {
+    // patterns without a slash match at any depth, like .gitignore
+    const pattern = (rules.forbidden || []).find(glob =>
+      minimatch(filePath, glob, { dot: true, matchBase: true })
+    );
+
+    if (pattern) {
+      violations.push(`${filePath} matches forbidden pattern "${pattern}"`);
+    }
+  }
+
+  if (rules.requireReadme && !files.some(file => /^readme(\.|$)/i.test(file.path))) {
+    violations.push("README is missing");
+  }
+
+  if (rules.checkEntryPoints) {
+    for (const [field, target] of getEntryPoints(manifest)) {
+      if (!resolvesTo(target, filePaths)) {
+        violations.push(`"${field}" points at ${target}, which is not in the tarball`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+function getEntryPoints(manifest) {
+  const entries = ["main", "module", "types", "typings"]
+    .filter(field => typeof manifest[field] === "string")
+    .map(field => [field, manifest[field]]);
+
+  const { bin } = manifest;
+
+  if (typeof bin === "string") {
+    entries.push(["bin", bin]);
+  } else if (bin) {
+    for (const name of Object.keys(bin)) {
+      entries.push([`bin.${name}`, bin[name]]);
+    }
+  }
+
+  return entries;
+}
+
+function resolvesTo(target, filePaths) {
+  const file = path.posix.normalize(target).replace(/\/$/, "");
+
+  // the same extensions and directory index that require() would try
+  return [file, `${file}.js`, `${file}.json`, `${file}/index.js`].some(candidate => filePaths.has(candidate));
+}
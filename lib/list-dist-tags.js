@@ -0,0 +1,21 @@
+"use strict";
+
+const npmDistTag = require("@lerna/npm-dist-tag");
+
+module.exports = listDistTags;
+
+/**
+ * List the dist-tags of a package, none when it was never published at all
+ * @param {String} name
+ * @param {Object} opts registry options
+ * @returns {Promise<Object>} dist-tag => version
+ */
+function listDistTags(name, opts) {
+  return npmDistTag.list(name, opts).catch(err => {
+    if (err.code === "E404") {
+      return {};
+    }
+
+    throw err;
+  });
+}
@@ -0,0 +1,43 @@
+"use strict";
+
+const fetch = require("npm-registry-fetch");
+const npa = require("npm-package-arg");
+const pulseTillDone = require("@lerna/pulse-till-done");
+const FetchConfig = require("./fetch-config");
+const getRegistryVersion = require("./get-registry-version");
+
+module.exports = npmDeprecate;
+
+function npmDeprecate(spec, message, _opts) {
+  const parsed = npa(spec);
+  const opts = FetchConfig(_opts, {
+    spec: parsed,
+  });
+
+  const { name, escapedName, rawSpec } = parsed;
+  const uri = `/${escapedName}`;
+  const version = getRegistryVersion(rawSpec);
+
+  opts.log.verbose("deprecate", `${name}@${version}`);
+
+  return pulseTillDone(fetch.json(uri, opts.concat({ query: { write: true } }))).then(packument => {
+    if (!packument.versions || !packument.versions[version]) {
+      opts.log.warn("deprecate", `${name}@${version} is not on the registry, nothing to deprecate`);
+      return;
+    }
+
+    // eslint-disable-next-line no-param-reassign
+    packument.versions[version].deprecated = message;
+
+    return pulseTillDone(
+      fetch(
+        uri,
+        opts.concat({
+          method: "PUT",
+          body: packument,
+          ignoreBody: true,
+        })
+      )
+    );
+  });
+}
@@ -0,0 +1,132 @@
+"use strict";
+
+const log = require("npmlog");
+const PromptUtilities = require("@lerna/prompt");
+
+// only one prompt at a time, even when packages are published in parallel
+const semaphore = {
+  promise: undefined,
+  resolve: undefined,
+  wait() {
+    return Promise.resolve(this.promise).then(() => {
+      if (this.promise) {
+        // somebody else got here first
+        return this.wait();
+      }
+
+      this.promise = new Promise(resolve => {
+        this.resolve = resolve;
+      });
+    });
+  },
+  release() {
+    const { resolve } = this;
+
+    this.promise = undefined;
+    this.resolve = undefined;
+
+    resolve();
+  },
+};
+
+module.exports = otplease;
+module.exports.getOneTimePassword = getOneTimePassword;
+module.exports.quietLog = quietLog;
+
+/**
+ * Call fn(opts), prompting for a one-time password whenever the registry asks for one
+ * @param {Function} fn registry operation, receives opts (with otp) and returns a promise
+ * @param {Object} _opts registry options
+ * @param {Object} otpCache shared { otp } so a code is only asked for once per run
+ * @returns {Promise}
+ */
+function otplease(fn, _opts, otpCache = {}) {
+  const opts = Object.assign({}, _opts, otpCache.otp ? { otp: otpCache.otp } : {});
+
+  // @lerna/npm-publish sets a failing exit code before rethrowing EOTP, which a successful retry must undo
+  const { exitCode } = process;
+
+  return attempt(fn, opts, otpCache).then(result => {
+    process.exitCode = exitCode;
+
+    return result;
+  });
+}
+
+function attempt(fn, opts, otpCache) {
+  return new Promise(resolve => resolve(fn(opts))).catch(err => {
+    if (!isOtpError(err)) {
+      throw err;
+    }
+
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      log.error("EOTP", "A one-time password is required, pass it with --otp");
+      throw err;
+    }
+
+    if (otpCache.otp && otpCache.otp !== opts.otp) {
+      // a parallel operation already asked for a fresh code
+      return attempt(fn, Object.assign({}, opts, { otp: otpCache.otp }), otpCache);
+    }
+
+    return semaphore.wait().then(() => {
+      if (otpCache.otp && otpCache.otp !== opts.otp) {
+        semaphore.release();
+
+        return attempt(fn, Object.assign({}, opts, { otp: otpCache.otp }), otpCache);
+      }
+
+      const message = opts.otp
+        ? "The one-time password has expired, enter a fresh one:"
+        : "This operation requires a one-time password:";
+
+      return getOneTimePassword(message).then(
+        otp => {
+          // eslint-disable-next-line no-param-reassign
+          otpCache.otp = otp;
+          semaphore.release();
+
+          // an expired code leads right back here
+          return attempt(fn, Object.assign({}, opts, { otp }), otpCache);
+        },
+        promptError => {
+          semaphore.release();
+
+          throw promptError;
+        }
+      );
+    });
+  });
+}
+
+function isOtpError(err) {
+  return err.code === "EOTP" || (err.code === "E401" && /one-time pass/.test(JSON.stringify(err.body)));
+}
+
+/**
+ * A logger for registry operations that demotes one-time password errors,
+ * since otplease() handles them
+ * @param {Object} [logger] defaults to npmlog
+ * @returns {Object}
+ */
+function quietLog(logger = log) {
+  return Object.assign(Object.create(logger), {
+    error(prefix, message, ...args) {
+      if (isOtpError({ code: prefix, body: message })) {
+        return logger.verbose(prefix, message, ...args);
+      }
+
+      return logger.error(prefix, message, ...args);
+    },
+  });
+}
+
+function getOneTimePassword(message) {
+  return PromptUtilities.input(message, {
+    filter: otp => otp.replace(/\s+/g, ""),
+    validate: otp =>
+      (otp && /^[\d ]+$|^[A-Fa-f0-9]{64,64}$/.test(otp)) ||
+      "Must be a valid one-time-password. " +
+        "See https://docs.npmjs.com/getting-started/using-two-factor-authentication",
+  });
+}
@@ -0,0 +1,109 @@
+"use strict";
+
+const path = require("path");
+const log = require("npmlog");
+const ValidationError = require("@lerna/validation-error");
+
+const HOOK_NAMES = ["beforePack", "afterPack", "beforePublish", "afterPublish", "afterAll"];
+
+/**
+ * The hook modules of the project root and of each package, awaited in that order
+ */
+class PublishHooks {
+  /**
+   * @param {String} rootPath project root
+   * @param {String|Object} [hooks] path of the project's hook module, relative to rootPath,
+   *   or the hook functions themselves when publishing programmatically
+   */
+  constructor(rootPath, hooks) {
+    if (hooks && typeof hooks === "object") {
+      this.root = { location: "options", exports: hooks };
+    } else {
+      this.root = hooks ? loadHooks(path.resolve(rootPath, hooks), "project") : null;
+    }
+
+    this.packages = new Map();
+  }
+
+  /**
+   * Load the hook modules named by each package's publishConfig.hooks, before anything is packed
+   * @param {Package[]} pkgs
+   */
+  loadPackages(pkgs) {
+    for (const pkg of pkgs) {
+      const { hooks } = pkg.get("publishConfig") || {};
+
+      if (hooks) {
+        this.packages.set(pkg.name, loadHooks(path.resolve(pkg.location, hooks), pkg.name));
+      }
+    }
+  }
+
+  /**
+   * Await a hook of the project, then the same hook of the package
+   * @param {String} name e.g. "beforePublish"
+   * @param {Package} pkg
+   * @param {Object} context passed to every hook
+   * @returns {Promise}
+   */
+  run(name, pkg, context) {
+    return this.runModules([this.root, this.packages.get(pkg.name)], name, context);
+  }
+
+  /**
+   * Await a hook of the project, then of every package module that has it, once each
+   * @param {String} name e.g. "afterAll"
+   * @param {Object} context passed to every hook
+   * @returns {Promise}
+   */
+  runAll(name, context) {
+    return this.runModules([this.root].concat(Array.from(this.packages.values())), name, context);
+  }
+
+  runModules(modules, name, context) {
+    const seen = new Set();
+
+    return modules.reduce((chain, hooks) => {
+      if (!hooks || typeof hooks.exports[name] !== "function" || seen.has(hooks.location)) {
+        return chain;
+      }
+
+      seen.add(hooks.location);
+
+      return chain.then(() => {
+        log.verbose("hooks", "%s from %s", name, hooks.location);
+
+        // failures keep their own stack, the caller decides which package they fail
+        return hooks.exports[name](context);
+      });
+    }, Promise.resolve());
+  }
+}
+
+module.exports = PublishHooks;
+
+function loadHooks(location, owner) {
+  let resolved;
+
+  try {
+    resolved = require.resolve(location);
+  } catch (err) {
+    throw new ValidationError("EHOOKS", `Cannot find the hook module of ${owner} at ${location}`);
+  }
+
+  // errors while evaluating the module are not validation errors, and keep their stack
+  // eslint-disable-next-line import/no-dynamic-require, global-require
+  const exports = require(resolved);
+
+  if (!exports || typeof exports !== "object") {
+    throw new ValidationError("EHOOKS", `${resolved} must export an object of hook functions`);
+  }
+
+  const unknown = Object.keys(exports).filter(name => !HOOK_NAMES.includes(name));
+
+  if (unknown.length) {
+    log.warn("hooks", "%s exports unknown hooks, ignoring %s", resolved, unknown.join(", "));
+  }
+
+  return { location: resolved, exports };
+}
@@ -0,0 +1,201 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const log = require("npmlog");
+const ValidationError = require("@lerna/validation-error");
+
+// the parts of pkg.packed that are needed to publish (and log) a tarball again
+const PACKED_KEYS = [
+  "id",
+  "name",
+  "version",
+  "size",
+  "unpackedSize",
+  "shasum",
+  "filename",
+  "files",
+  "entryCount",
+  "bundled",
+];
+
+class PublishJournal {
+  constructor(rootPath) {
+    this.location = path.join(rootPath, ".publish-current-version");
+    this.journalLocation = path.join(this.location, "journal.json");
+    this.tarballLocation = path.join(this.location, "tarballs");
+
+    // nothing is written until start() or read() has been called
+    this.active = false;
+    this.packages = {};
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Begin a fresh journal for the given packages, discarding any previous one
+   * @param {Package[]} pkgs packages in topological order
+   * @returns {Promise} resolves when written
+   */
+  start(pkgs) {
+    this.active = true;
+    this.packages = {};
+
+    for (const pkg of pkgs) {
+      this.packages[pkg.name] = { version: pkg.version };
+    }
+
+    return fs.remove(this.location).then(() => this.write());
+  }
+
+  /**
+   * Load the journal of a previous, incomplete run
+   * @returns {Promise<String[]>} package names, in their original order
+   */
+  read() {
+    return fs.readJson(this.journalLocation).then(
+      ({ packages }) => {
+        this.active = true;
+        this.packages = packages;
+
+        return Object.keys(packages);
+      },
+      err => {
+        log.silly("EJOURNAL", err.message);
+
+        throw new ValidationError("ENOJOURNAL", "No publish journal found to resume from");
+      }
+    );
+  }
+
+  get(name) {
+    return this.packages[name];
+  }
+
+  recordPacked(pkg, packed) {
+    if (!this.active) {
+      return Promise.resolve(packed);
+    }
+
+    // tarballs are written to a temp directory, which may not survive until --resume
+    const tarFilePath = path.join(this.tarballLocation, packed.filename);
+    const entry = this.get(pkg.name);
+
+    return fs.copy(packed.tarFilePath, tarFilePath).then(() => {
+      entry.packed = PACKED_KEYS.reduce((obj, key) => Object.assign(obj, { [key]: packed[key] }), {
+        tarFilePath,
+        integrity: packed.integrity.toString(),
+      });
+
+      return this.write().then(() => packed);
+    });
+  }
+
+  /**
+   * Retrieve the packed metadata of a package, if its tarball is intact
+   * @param {Package} pkg
+   * @returns {Promise<Object|undefined>} pkg.packed equivalent
+   */
+  getVerifiedPacked(pkg) {
+    const entry = this.get(pkg.name);
+
+    if (!this.active || !entry || !entry.packed || entry.version !== pkg.version) {
+      return Promise.resolve();
+    }
+
+    const { tarFilePath, integrity } = entry.packed;
+
+    return fs.readFile(tarFilePath).then(
+      tarData => {
+        const digest = crypto.createHash("sha512").update(tarData).digest("base64");
+
+        if (`sha512-${digest}` === integrity) {
+          log.verbose("journal", "reusing %s", path.basename(tarFilePath));
+
+          return entry.packed;
+        }
+
+        log.warn("journal", "%s does not match its recorded integrity, packing again", tarFilePath);
+      },
+      () => {
+        log.warn("journal", "%s is missing, packing again", tarFilePath);
+      }
+    );
+  }
+
+  /**
+   * @param {Package} pkg
+   * @param {Object} [options] { distTagged }, when the upload itself applied the final dist-tag
+   * @returns {Promise} resolves when written
+   */
+  recordPublished(pkg, { distTagged = false } = {}) {
+    // a --resume has undone any rollback by now, see PublishCommand#undoRollback()
+    const props = { published: true, rolledBack: undefined };
+
+    if (distTagged) {
+      props.distTagged = true;
+    }
+
+    return this.update(pkg, props);
+  }
+
+  recordDistTagged(pkg) {
+    return this.update(pkg, { distTagged: true });
+  }
+
+  /**
+   * Forget what an --on-failure rollback undid, so that --resume does it again
+   * @param {Package} pkg
+   * @param {String} action "deprecate", "unpublish" or "retag"
+   * @returns {Promise} resolves when written
+   */
+  recordRolledBack(pkg, action) {
+    const props = { rolledBack: action };
+
+    // a deprecated version keeps its dist-tag, an unpublished one loses it along with everything else
+    if (action === "unpublish") {
+      props.published = false;
+    }
+
+    if (action !== "deprecate") {
+      props.distTagged = false;
+    }
+
+    return this.update(pkg, props);
+  }
+
+  update(pkg, props) {
+    if (!this.active) {
+      return Promise.resolve();
+    }
+
+    Object.assign(this.get(pkg.name), props);
+
+    return this.write();
+  }
+
+  write() {
+    // writes are serialized, concurrent packages must not clobber each other
+    this.queue = this.queue.then(() =>
+      fs.outputJson(this.journalLocation, { packages: this.packages }, { spaces: 2 })
+    );
+
+    return this.queue;
+  }
+
+  /**
+   * Remove the journal and its tarballs once everything is done
+   * @returns {Promise}
+   */
+  remove() {
+    if (!this.active) {
+      return Promise.resolve();
+    }
+
+    this.active = false;
+
+    return this.queue.then(() => fs.remove(this.location));
+  }
+}
+
+module.exports = PublishJournal;
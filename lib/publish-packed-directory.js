@@ -0,0 +1,297 @@
+"use strict";
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const log = require("npmlog");
+const npa = require("npm-package-arg");
+const { pickRegistry } = require("npm-registry-fetch");
+const pFinally = require("p-finally");
+const pMap = require("p-map");
+const { publish } = require("libnpmpublish");
+const npmConf = require("@lerna/npm-conf");
+const runParallelBatches = require("@lerna/run-parallel-batches");
+const ValidationError = require("@lerna/validation-error");
+const confirmPublish = require("./confirm-publish");
+const createPublishReport = require("./create-publish-report");
+const getUnpublishedPackages = require("./get-unpublished-packages");
+const otplease = require("./otplease");
+const publishWithRetries = require("./publish-with-retries");
+const verifyDistTagPolicy = require("./verify-dist-tag-policy");
+const withRetries = require("./with-retries");
+const writePublishReport = require("./write-publish-report");
+const { MANIFEST_FILENAME } = require("./write-packed-directory");
+
+module.exports = publishPackedDirectory;
+
+/**
+ * Publish the tarballs written by --pack-only, in their recorded order
+ * @param {String} dir directory containing the tarballs and their manifest
+ * @param {Object} options parsed CLI options
+ * @param {EventEmitter} [events] receives "skipped", "published" and "failed" for each package
+ * @returns {Promise<Object>} the same result as publishCurrentVersion(), without pack metadata
+ */
+function publishPackedDirectory(dir, options, events = new EventEmitter()) {
+  if (!dir) {
+    return Promise.reject(new ValidationError("EPACKED", "publish-packed requires a directory argument"));
+  }
+
+  if (Array.isArray(options.registry)) {
+    return Promise.reject(
+      new ValidationError("EPACKED", "publish-packed uploads to a single registry, pass --registry only once")
+    );
+  }
+
+  let retryOptions;
+  let needsConfirmation;
+
+  try {
+    retryOptions = withRetries.parseRetryOptions(options);
+    needsConfirmation = confirmPublish.needsConfirmation(options);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  // normally added by @lerna/command
+  log.addLevel("success", 3001, { fg: "green", bold: true });
+
+  const location = path.resolve(dir);
+  const conf = npmConf({
+    lernaCommand: "publish",
+    registry: options.registry,
+  });
+
+  // a one-time password is only asked for once
+  const otpCache = { otp: options.otp };
+
+  // every check is made against the registry the package is uploaded to
+  const getFetchOpts = entry => Object.assign(conf.snapshot, { registry: getRegistry(entry, conf.snapshot) });
+
+  let packages;
+  let batches;
+  let canary;
+  let pending;
+
+  let chain = Promise.resolve();
+
+  chain = chain.then(() =>
+    fs.readJson(path.join(location, MANIFEST_FILENAME)).catch(err => {
+      log.silly("EPACKED", err.message);
+
+      throw new ValidationError("EPACKED", `No ${MANIFEST_FILENAME} found in ${location}`);
+    })
+  );
+  chain = chain.then(manifest => {
+    packages = new Map(manifest.packages.map(entry => [entry.name, entry]));
+    batches = manifest.batches.map(batch => batch.map(name => packages.get(name)));
+    canary = Boolean(manifest.canary);
+  });
+
+  // every tarball is verified before anything is uploaded
+  chain = chain.then(() => pMap(Array.from(packages.values()), entry => verifyIntegrity(location, entry)));
+  chain = chain.then(() => skipPublished(packages, getFetchOpts));
+  chain = chain.then(() => {
+    for (const entry of packages.values()) {
+      if (entry.published) {
+        emitProgress(events, "skipped", entry);
+      }
+    }
+
+    pending = Array.from(packages.values()).filter(entry => !entry.published);
+  });
+  chain = chain.then(() => {
+    const entries = pending.map(entry => ({
+      name: entry.name,
+      version: entry.version,
+      distTag: options.distTag || entry.distTag,
+      opts: getFetchOpts(entry),
+    }));
+
+    return verifyDistTagPolicy(
+      entries,
+      Object.assign({}, options, {
+        canary,
+        hint: "Use --dist-tag, or --allow-prerelease-latest / --allow-downgrade.",
+      })
+    );
+  });
+  chain = chain.then(() => {
+    const message = pending.map(entry => {
+      const distTag = options.distTag || entry.distTag;
+
+      return ` - ${entry.name}@${entry.version} => ${distTag} (${getRegistry(entry, conf.snapshot)})`;
+    });
+
+    return confirmPublish(message, { json: options.json, needsConfirmation });
+  });
+  chain = chain.then(confirmed => {
+    if (!confirmed) {
+      return;
+    }
+
+    const tracker = log.newItem("publish");
+    tracker.addWork(packages.size);
+
+    const mapper = entry => {
+      if (entry.published) {
+        tracker.completeWork(1);
+        return;
+      }
+
+      const opts = Object.assign(getFetchOpts(entry), {
+        tag: options.distTag || entry.distTag || conf.get("tag"),
+      });
+
+      return fs
+        .readFile(path.join(location, entry.filename))
+        .then(tarData => {
+          const { manifest } = entry;
+
+          // non-default tag needs to override publishConfig.tag,
+          // which is merged over opts.tag in libnpmpublish
+          if (manifest.publishConfig && manifest.publishConfig.tag) {
+            manifest.publishConfig.tag = opts.tag;
+          }
+
+          const upload = innerOpts =>
+            publishWithRetries(
+              uploadOpts => publish(manifest, tarData, uploadOpts),
+              innerOpts,
+              Object.assign(
+                { spec: `${entry.name}@${entry.version}`, integrity: entry.integrity, tracker },
+                retryOptions
+              )
+            );
+
+          return otplease(upload, opts, otpCache);
+        })
+        .then(
+          () => {
+            tracker.success("published", entry.name, entry.version);
+            tracker.completeWork(1);
+
+            entry.status = "published";
+            emitProgress(events, "published", entry, { registry: opts.registry, distTag: opts.tag });
+          },
+          err => {
+            entry.status = "failed";
+            entry.error = err;
+            emitProgress(events, "failed", entry, { error: err });
+
+            throw err;
+          }
+        );
+    };
+
+    const concurrency = Math.max(1, +options.concurrency || os.cpus().length);
+    const published = runParallelBatches(batches, concurrency, mapper).then(() => {
+      const count = pending.length;
+
+      log.success("published", "%d %s", count, count === 1 ? "package" : "packages");
+    });
+
+    return pFinally(published, () => tracker.finish());
+  });
+
+  const report = result =>
+    writePublishReport(result, {
+      json: options.json,
+      reportFile: options.reportFile,
+      cwd: process.cwd(),
+    });
+
+  return chain.then(
+    () => {
+      const result = getResult(packages);
+
+      return report(result).then(() => result);
+    },
+    error => {
+      if (!packages) {
+        throw error;
+      }
+
+      // eslint-disable-next-line no-param-reassign
+      error.result = getResult(packages, error);
+
+      return report(error.result)
+        .catch(reportError => {
+          log.error("report", "error writing publish report", reportError.stack || reportError);
+        })
+        .then(() => {
+          // restore original error into promise chain
+          throw error;
+        });
+    }
+  );
+}
+
+function getResult(packages, error) {
+  const entries = Array.from(packages.values(), entry => ({
+    name: entry.name,
+    version: entry.version,
+    distTag: entry.distTag,
+    tarball: entry.filename,
+    integrity: entry.integrity,
+    // packages that were never attempted remain "pending"
+    status: entry.status || "pending",
+    error: createPublishReport.toReportError(entry.error),
+  }));
+
+  return createPublishReport.createPublishResult(createPublishReport(entries, { error }));
+}
+
+function emitProgress(events, event, entry, details) {
+  try {
+    events.emit(event, Object.assign({ name: entry.name, version: entry.version }, details));
+  } catch (err) {
+    // a broken listener must not leave a release half-done
+    log.warn("events", "%s listener failed: %s", event, err.message);
+  }
+}
+
+function verifyIntegrity(location, entry) {
+  const tarFilePath = path.join(location, entry.filename);
+
+  return fs.readFile(tarFilePath).then(tarData => {
+    const digest = crypto.createHash("sha512").update(tarData).digest("base64");
+
+    if (`sha512-${digest}` !== entry.integrity) {
+      throw new ValidationError(
+        "EINTEGRITY",
+        `${entry.filename} does not match the integrity recorded for ${entry.name}@${entry.version}`
+      );
+    }
+  });
+}
+
+function getRegistry(entry, opts) {
+  const { publishConfig } = entry.manifest;
+
+  // recorded by --pack-only, and merged over opts.registry by libnpmpublish
+  return (publishConfig && publishConfig.registry) || pickRegistry(npa(entry.name), opts);
+}
+
+function skipPublished(packages, getFetchOpts) {
+  // getUnpublishedPackages() expects package graph nodes
+  const nodes = new Map(
+    Array.from(packages.values(), entry => [
+      entry.name,
+      { name: entry.name, version: entry.version, pkg: { private: false } },
+    ])
+  );
+
+  return getUnpublishedPackages(nodes, node => getFetchOpts(packages.get(node.name))).then(unpublished => {
+    const unpublishedNames = new Set(unpublished.map(({ name }) => name));
+
+    for (const entry of packages.values()) {
+      if (!unpublishedNames.has(entry.name)) {
+        log.notice("skip", "%s@%s already published, skipping", entry.name, entry.version);
+        entry.published = true;
+        entry.status = "skipped";
+      }
+    }
+  });
+}
@@ -0,0 +1,33 @@
+"use strict";
+
+const EventEmitter = require("events");
+
+/**
+ * A running publish: emits progress events, and is a promise for its result
+ */
+class PublishRun extends EventEmitter {
+  /**
+   * @param {Function} start receives this emitter and returns a promise for the result
+   */
+  constructor(start) {
+    super();
+
+    // nothing is emitted synchronously, so the caller can attach listeners to the returned run
+    const promise = new Promise(resolve => resolve(start(this)));
+
+    Object.defineProperty(this, "promise", {
+      value: promise,
+    });
+  }
+
+  // proxy "Promise" methods, like lerna's Command does
+  then(onResolved, onRejected) {
+    return this.promise.then(onResolved, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+}
+
+module.exports = PublishRun;
@@ -0,0 +1,43 @@
+"use strict";
+
+const pulseTillDone = require("@lerna/pulse-till-done");
+const getPublishedDist = require("./get-published-dist");
+const withRetries = require("./with-retries");
+
+module.exports = publishWithRetries;
+
+/**
+ * Upload a tarball, retrying transient registry failures
+ * @param {Function} upload a single attempt, receives the registry options
+ * @param {Object} opts registry options
+ * @param {Object} options { spec, integrity, tracker, retries, backoff }
+ * @returns {Promise}
+ */
+function publishWithRetries(upload, opts, { spec, integrity, tracker, retries, backoff }) {
+  // npmPublish() sets a failing exit code before rethrowing, which a recovery must undo
+  const { exitCode } = process;
+
+  // retries are counted by --publish-retries alone, instead of on top of npm-registry-fetch's own
+  const uploadOpts = Object.assign({}, opts, { "fetch-retries": 0 });
+
+  return withRetries(
+    () =>
+      pulseTillDone(upload(uploadOpts)).catch(err => {
+        if (err.code !== "EPUBLISHCONFLICT") {
+          throw err;
+        }
+
+        // an earlier attempt (ours or npm-registry-fetch's) may have reached the registry before failing
+        return getPublishedDist(spec, opts).then(dist => {
+          if (!dist || dist.integrity !== integrity) {
+            throw err;
+          }
+
+          tracker.info("publish", "%s was uploaded by an earlier attempt", spec);
+        });
+      }),
+    withRetries.getRetryOptions(tracker, `publish ${spec} to ${opts.registry}`, { retries, backoff })
+  ).then(() => {
+    process.exitCode = exitCode;
+  });
+}
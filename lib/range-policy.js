@@ -0,0 +1,111 @@
+"use strict";
+
+const semver = require("semver");
+const ValidationError = require("@lerna/validation-error");
+
+const DEPENDENCY_TYPES = ["dependencies", "optionalDependencies", "peerDependencies"];
+const PREFIXES = { exact: "", caret: "^", tilde: "~" };
+const PRESERVE = "preserve-existing-operator";
+const POLICIES = Object.keys(PREFIXES).concat(PRESERVE);
+
+module.exports = parseRangePolicy;
+module.exports.getRangePrefix = getRangePrefix;
+module.exports.PRESERVE = PRESERVE;
+
+/**
+ * Normalize the rangePolicy option, as passed on the command line or set in lerna.json
+ * @param {String|String[]|Object} value "caret", ["caret", "peerDependencies=preserve-existing-operator"],
+ *   or { dependencies, optionalDependencies, peerDependencies, packages: { [name]: String|Object } }
+ * @returns {Object} { defaults, packages }, each policy keyed by dependency type
+ */
+function parseRangePolicy(value) {
+  if (value === undefined) {
+    return { defaults: {}, packages: {} };
+  }
+
+  if (typeof value === "string" || Array.isArray(value)) {
+    return { defaults: parseEntries([].concat(value), "--range-policy"), packages: {} };
+  }
+
+  const { packages = {} } = value;
+
+  return {
+    defaults: parseTypes(value, "rangePolicy"),
+    packages: Object.keys(packages).reduce((obj, name) => {
+      const where = `rangePolicy.packages["${name}"]`;
+      const policy = packages[name];
+
+      return Object.assign(obj, {
+        [name]: typeof policy === "string" ? parseEntries([policy], where) : parseTypes(policy, where),
+      });
+    }, {}),
+  };
+}
+
+function parseEntries(entries, where) {
+  return entries.reduce((obj, entry) => {
+    // "caret" applies to every dependency type, "peerDependencies=caret" to one
+    const [depType, policy] = entry.includes("=") ? entry.split("=") : [undefined, entry];
+
+    if (depType === undefined) {
+      return DEPENDENCY_TYPES.reduce(
+        (all, type) => Object.assign(all, { [type]: validate(policy, where) }),
+        obj
+      );
+    }
+
+    return Object.assign(obj, parseTypes({ [depType]: policy }, where));
+  }, {});
+}
+
+function parseTypes(obj, where) {
+  return Object.keys(obj)
+    .filter(key => key !== "packages")
+    .reduce((types, depType) => {
+      if (!DEPENDENCY_TYPES.includes(depType)) {
+        throw new ValidationError(
+          "ERANGEPOLICY",
+          `Unknown dependency type "${depType}" in ${where}, expected one of ${DEPENDENCY_TYPES.join(", ")}`
+        );
+      }
+
+      return Object.assign(types, { [depType]: validate(obj[depType], where) });
+    }, {});
+}
+
+function validate(policy, where) {
+  if (!POLICIES.includes(policy)) {
+    throw new ValidationError(
+      "ERANGEPOLICY",
+      `Unknown range policy "${policy}" in ${where}, expected one of ${POLICIES.join(", ")}`
+    );
+  }
+
+  return policy;
+}
+
+/**
+ * Choose the prefix for a sibling dependency's new version
+ * @param {String} policy one of exact, caret, tilde or preserve-existing-operator
+ * @param {String} spec the dependency spec it replaces
+ * @param {String} version the sibling's new version
+ * @returns {String|null|undefined} the prefix, null to keep the spec as it is,
+ *   or undefined when the spec has no operator to preserve
+ */
+function getRangePrefix(policy, spec, version) {
+  if (policy !== PRESERVE) {
+    return PREFIXES[policy];
+  }
+
+  // a single version, with or without an operator
+  const match = /^\s*(\^|~|=)?\s*v?\d+\.\d+\.\d+(?:[-+][\w.+-]*)?\s*$/.exec(spec);
+
+  if (match) {
+    return match[1] === "=" || match[1] === undefined ? "" : match[1];
+  }
+
+  // broad ranges, e.g. peerDependencies like ">=1.0.0 <4.0.0", are kept as long as they still match
+  if (semver.validRange(spec) && semver.satisfies(version, spec)) {
+    return null;
+  }
+}
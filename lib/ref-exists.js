@@ -0,0 +1,19 @@
+"use strict";
+
+const log = require("npmlog");
+const childProcess = require("@lerna/child-process");
+
+module.exports = refExists;
+
+function refExists(ref, execOpts) {
+  log.silly("refExists", ref);
+
+  const opts = Object.assign({}, execOpts, {
+    // don't reject due to non-zero exit code when the ref is unknown
+    reject: false,
+  });
+
+  return childProcess
+    .exec("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], opts)
+    .then(result => result.code === 0);
+}
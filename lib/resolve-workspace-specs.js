@@ -0,0 +1,78 @@
+"use strict";
+
+const os = require("os");
+const log = require("npmlog");
+const semver = require("semver");
+const ValidationError = require("@lerna/validation-error");
+
+const DEPENDENCY_TYPES = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+module.exports = resolveWorkspaceSpecs;
+
+/**
+ * Replace workspace: specs with a range of the sibling's current version, in place
+ * @param {Package[]} packages every package in the project
+ * @returns {Map<String, Object[]>} the replaced specs of each package, as { depType, depName, spec }
+ */
+function resolveWorkspaceSpecs(packages) {
+  const versions = new Map(packages.map(pkg => [pkg.name, pkg.version]));
+  const replaced = new Map();
+  const problems = [];
+
+  for (const pkg of packages) {
+    for (const depType of DEPENDENCY_TYPES) {
+      const deps = pkg.get(depType) || {};
+
+      for (const depName of Object.keys(deps)) {
+        const spec = deps[depName];
+
+        if (!/^workspace:/.test(spec)) {
+          continue;
+        }
+
+        const intent = spec.slice("workspace:".length);
+        const range = versions.has(depName) && toRange(intent, versions.get(depName));
+
+        if (!range) {
+          problems.push(` - ${pkg.name} => ${depName}@${spec}`);
+          continue;
+        }
+
+        log.verbose("workspace", "%s: %s %s => %s", pkg.name, depName, spec, range);
+
+        // it no longer matters if we mutate the shared Package instance
+        deps[depName] = range;
+
+        if (!replaced.has(pkg.name)) {
+          replaced.set(pkg.name, []);
+        }
+
+        replaced.get(pkg.name).push({ depType, depName, spec });
+      }
+    }
+  }
+
+  if (problems.length) {
+    const message = "The following workspace: dependencies do not match a package in this project:";
+
+    throw new ValidationError("EWORKSPACE", `${message}${os.EOL}${problems.join(os.EOL)}`);
+  }
+
+  return replaced;
+}
+
+function toRange(intent, version) {
+  // the same translation pnpm and yarn apply when they publish
+  if (intent === "*" || intent === "") {
+    return version;
+  }
+
+  if (intent === "^" || intent === "~") {
+    return `${intent}${version}`;
+  }
+
+  // an explicit range, e.g. workspace:^1.2.0
+  if (semver.validRange(intent)) {
+    return intent;
+  }
+}
@@ -0,0 +1,42 @@
+"use strict";
+
+const os = require("os");
+const pMap = require("p-map");
+const ValidationError = require("@lerna/validation-error");
+const getDistTagPolicyViolation = require("./get-dist-tag-policy-violation");
+const listDistTags = require("./list-dist-tags");
+
+module.exports = verifyDistTagPolicy;
+
+/**
+ * Fail before anything is uploaded when any version would be published to the wrong dist-tag
+ * @param {Object[]} entries { name, version, distTag, opts } of each package to publish
+ * @param {Object} options { canary, allowPrereleaseLatest, allowDowngrade, hint }
+ * @returns {Promise}
+ */
+function verifyDistTagPolicy(entries, options) {
+  const listTags = ({ name, opts }) => listDistTags(name, opts);
+
+  return pMap(entries, listTags, { concurrency: 4 }).then(tagsList => {
+    const problems = [];
+
+    entries.forEach(({ name, version, distTag }, idx) => {
+      // canaries from different branches have no meaningful order
+      const current = options.canary ? undefined : tagsList[idx][distTag];
+      const problem = getDistTagPolicyViolation(version, distTag, current, options);
+
+      if (problem) {
+        problems.push(` - ${name}: ${problem}`);
+      }
+    });
+
+    if (problems.length) {
+      throw new ValidationError(
+        "EDISTTAG",
+        `The following versions would be published to the wrong dist-tag:${os.EOL}${problems.join(os.EOL)}${
+          os.EOL
+        }${options.hint}`
+      );
+    }
+  });
+}
@@ -30,7 +30,7 @@ function verifyNpmPackageAccess(packages, username, _opts) {
         if (pkg.name in result && result[pkg.name] !== "read-write") {
           throw new ValidationError(
             "EACCESS",
-            `You do not have write permission required to publish "${pkg.name}"`
+            `You do not have write permission required to publish "${pkg.name}" to ${opts.registry}`
           );
         }
       }
@@ -57,6 +57,10 @@ function verifyNpmPackageAccess(packages, username, _opts) {
     console.error(err.message); // eslint-disable-line no-console
     opts.log.resume();
 
-    throw new ValidationError("EWHOAMI", "Authentication error. Use `npm whoami` to troubleshoot.");
+    throw new ValidationError(
+      "EWHOAMI",
+      `Authentication error for ${opts.registry}. ` +
+        `Use \`npm whoami --registry ${opts.registry}\` to troubleshoot.`
+    );
   }
 }
@@ -0,0 +1,86 @@
+"use strict";
+
+const fetch = require("npm-registry-fetch");
+const npa = require("npm-package-arg");
+const FetchConfig = require("./fetch-config");
+const getRegistryVersion = require("./get-registry-version");
+
+module.exports = verifyPublished;
+
+/**
+ * Poll the registry until it serves a published version under the expected dist-tag
+ * @param {Object} expected { name, version, distTag, integrity, shasum }
+ * @param {Object} options { timeout, backoff } in milliseconds
+ * @param {Object} _opts registry options
+ * @returns {Promise<String|undefined>} the problem that remained, if any
+ */
+function verifyPublished(expected, { timeout, backoff }, _opts) {
+  const { name, version, distTag } = expected;
+  const opts = FetchConfig(_opts, {
+    // a caching proxy may still hold the packument from before the publish
+    "prefer-online": true,
+    spec: npa(name),
+  });
+
+  const uri = `/${npa(name).escapedName}`;
+  const deadline = Date.now() + timeout;
+
+  opts.log.verbose("verify", `${name}@${version}`);
+
+  const attempt = delay =>
+    fetch
+      .json(uri, opts)
+      .then(packument => check(packument, expected), err => ({ pending: `registry responded ${err.code}` }))
+      .then(({ pending, mismatch } = {}) => {
+        if (mismatch) {
+          // a different tarball under the same version will never fix itself
+          return mismatch;
+        }
+
+        if (!pending) {
+          return;
+        }
+
+        if (Date.now() + delay > deadline) {
+          return `${pending} after ${timeout}ms`;
+        }
+
+        opts.log.verbose("verify", "%s@%s: %s, retrying in %dms", name, version, pending, delay);
+
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(delay * 2));
+      });
+
+  return attempt(backoff).then(problem => {
+    if (!problem) {
+      opts.log.verbose("verify", "%s@%s is served as %j", name, version, distTag);
+    }
+
+    return problem;
+  });
+}
+
+function check(packument, expected) {
+  const { distTag, integrity, shasum } = expected;
+  const version = getRegistryVersion(expected.version);
+  const manifest = packument.versions && packument.versions[version];
+
+  if (!manifest) {
+    return { pending: `${version} is not served yet` };
+  }
+
+  const dist = manifest.dist || {};
+
+  if (dist.integrity && dist.integrity !== integrity) {
+    return { mismatch: `registry integrity ${dist.integrity} does not match the uploaded ${integrity}` };
+  }
+
+  if (dist.shasum && dist.shasum !== shasum) {
+    return { mismatch: `registry shasum ${dist.shasum} does not match the uploaded ${shasum}` };
+  }
+
+  const tagged = (packument["dist-tags"] || {})[distTag];
+
+  if (tagged !== version) {
+    return { pending: `dist-tag "${distTag}" points at ${tagged || "nothing"}` };
+  }
+}
@@ -0,0 +1,90 @@
+"use strict";
+
+const ValidationError = require("@lerna/validation-error");
+
+module.exports = withRetries;
+module.exports.isTransientError = isTransientError;
+module.exports.parseRetryOptions = parseRetryOptions;
+module.exports.getRetryOptions = getRetryOptions;
+
+// network failures that are worth another attempt
+const TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * Call fn() again, with exponential backoff, while it fails with a transient registry error
+ * @param {Function} fn operation returning a promise, receives the attempt number (starting at 0)
+ * @param {Object} options { retries, backoff, onRetry(err, attempt, delay) }
+ * @returns {Promise}
+ */
+function withRetries(fn, { retries = 0, backoff = 1000, onRetry }) {
+  const attempt = n =>
+    new Promise(resolve => resolve(fn(n))).catch(err => {
+      if (n >= retries || !isTransientError(err)) {
+        throw err;
+      }
+
+      const delay = backoff * Math.pow(2, n);
+
+      if (onRetry) {
+        onRetry(err, n + 1, delay);
+      }
+
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() => attempt(n + 1));
+    });
+
+  return attempt(0);
+}
+
+function isTransientError(err) {
+  return (
+    TRANSIENT_CODES.includes(err.code) ||
+    err.type === "request-timeout" ||
+    /^E5\d\d$/.test(err.code) ||
+    err.statusCode >= 500
+  );
+}
+
+/**
+ * Read --publish-retries and --publish-retry-backoff, with their defaults
+ * @param {Object} options parsed CLI options
+ * @returns {Object} { retries, backoff }
+ */
+function parseRetryOptions({ publishRetries, publishRetryBackoff }) {
+  const retries = publishRetries === undefined ? 2 : Number(publishRetries);
+  const backoff = publishRetryBackoff === undefined ? 1000 : Number(publishRetryBackoff);
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new ValidationError("ERETRIES", "--publish-retries must be a non-negative integer");
+  }
+
+  if (!(backoff >= 0)) {
+    throw new ValidationError("ERETRIES", "--publish-retry-backoff must be a non-negative number");
+  }
+
+  return { retries, backoff };
+}
+
+/**
+ * Options for withRetries() that warn about every retry of an action
+ * @param {Object} tracker npmlog tracker
+ * @param {String} action e.g. "dist-tag add pkg@1.0.0 latest"
+ * @param {Object} options { retries, backoff }
+ * @returns {Object}
+ */
+function getRetryOptions(tracker, action, { retries, backoff }) {
+  return {
+    retries,
+    backoff,
+    onRetry: (err, attempt, delay) => {
+      tracker.warn(
+        "retry",
+        "%s failed (%s), retry %d of %d in %dms",
+        action,
+        err.code,
+        attempt,
+        retries,
+        delay
+      );
+    },
+  };
+}
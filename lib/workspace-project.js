@@ -0,0 +1,116 @@
+"use strict";
+
+const fs = require("fs-extra");
+const path = require("path");
+const yaml = require("js-yaml");
+const log = require("npmlog");
+const minimatch = require("minimatch");
+const Project = require("@lerna/project");
+const ValidationError = require("@lerna/validation-error");
+
+/**
+ * A project defined by npm, yarn or pnpm workspaces instead of a lerna.json
+ */
+class WorkspaceProject extends Project {
+  /**
+   * Look for a workspace root in cwd and its parents
+   * @param {String} cwd directory to start from
+   * @returns {WorkspaceProject|undefined} undefined when there are no workspaces either
+   */
+  static find(cwd) {
+    let dir = path.resolve(cwd);
+
+    for (;;) {
+      const workspaces = readWorkspaces(dir);
+
+      if (workspaces) {
+        return new WorkspaceProject(dir, workspaces);
+      }
+
+      const parent = path.dirname(dir);
+
+      if (parent === dir) {
+        return;
+      }
+
+      dir = parent;
+    }
+  }
+
+  constructor(rootPath, { source, globs }) {
+    super(rootPath);
+
+    // globby only handles one pattern at a time, so exclusions are applied in getPackages()
+    const negated = globs.filter(glob => glob.startsWith("!"));
+
+    // versions are per package, like lerna's independent mode
+    this.config = {
+      version: "independent",
+      packages: globs.filter(glob => !negated.includes(glob)).map(glob => glob.replace(/\/$/, "")),
+    };
+    this.excludedPackages = negated.map(glob => glob.slice(1).replace(/\/$/, ""));
+
+    log.verbose("workspaces", "%s: %j", source, globs);
+  }
+
+  getPackages() {
+    return super.getPackages().then(packages =>
+      packages.filter(pkg => {
+        const location = path.relative(this.rootPath, pkg.location).split(path.sep).join("/");
+
+        return !this.excludedPackages.some(glob => minimatch(location, glob));
+      })
+    );
+  }
+}
+
+module.exports = WorkspaceProject;
+
+function readWorkspaces(dir) {
+  const pnpmLocation = path.join(dir, "pnpm-workspace.yaml");
+
+  if (fs.existsSync(pnpmLocation)) {
+    let config;
+
+    try {
+      config = yaml.safeLoad(fs.readFileSync(pnpmLocation, "utf8"));
+    } catch (err) {
+      throw new ValidationError("EWORKSPACES", `${pnpmLocation} is not valid YAML: ${err.message}`);
+    }
+
+    return { source: pnpmLocation, globs: getGlobs(pnpmLocation, config && config.packages) };
+  }
+
+  const manifestLocation = path.join(dir, "package.json");
+
+  if (!fs.existsSync(manifestLocation)) {
+    return;
+  }
+
+  let workspaces;
+
+  try {
+    workspaces = fs.readJsonSync(manifestLocation).workspaces;
+  } catch (err) {
+    // the root manifest is validated by @lerna/command, later on
+    log.silly("EWORKSPACES", err.message);
+
+    return;
+  }
+
+  if (workspaces) {
+    // yarn also allows { packages, nohoist }
+    return { source: manifestLocation, globs: getGlobs(manifestLocation, workspaces.packages || workspaces) };
+  }
+}
+
+function getGlobs(location, globs) {
+  if (!Array.isArray(globs) || !globs.length || !globs.every(glob => typeof glob === "string")) {
+    throw new ValidationError(
+      "EWORKSPACES",
+      `${location} must list the workspace packages as an array of globs`
+    );
+  }
+
+  return globs;
+}
@@ -0,0 +1,47 @@
+"use strict";
+
+const fs = require("fs-extra");
+const path = require("path");
+const log = require("npmlog");
+const pMap = require("p-map");
+
+module.exports = writePackedDirectory;
+module.exports.MANIFEST_FILENAME = "publish-manifest.json";
+
+/**
+ * Copy packed tarballs into a directory, alongside a manifest describing how to publish them
+ * @param {String} outDir target directory
+ * @param {Object[][]} batches topologically ordered batches of { pkg, distTag }
+ * @param {Object} [options] { canary }, recorded for publish-packed
+ * @returns {Promise<String>} location of the manifest
+ */
+function writePackedDirectory(outDir, batches, { canary = false } = {}) {
+  log.silly("writePackedDirectory", outDir);
+
+  const manifestLocation = path.join(outDir, writePackedDirectory.MANIFEST_FILENAME);
+  const entries = [].concat(...batches);
+
+  const manifest = {
+    // canaries from different branches have no meaningful order, see getDistTagPolicyViolation()
+    canary,
+    batches: batches.map(batch => batch.map(({ pkg }) => pkg.name)),
+    packages: entries.map(({ pkg, distTag }) => ({
+      name: pkg.name,
+      version: pkg.version,
+      distTag,
+      filename: pkg.packed.filename,
+      integrity: pkg.packed.integrity.toString(),
+      shasum: pkg.packed.shasum,
+      // the packed package.json, so publishing does not need the source tree
+      manifest: pkg.toJSON(),
+    })),
+  };
+
+  return Promise.resolve()
+    .then(() => fs.ensureDir(outDir))
+    .then(() =>
+      pMap(entries, ({ pkg }) => fs.copy(pkg.packed.tarFilePath, path.join(outDir, pkg.packed.filename)))
+    )
+    .then(() => fs.outputJson(manifestLocation, manifest, { spaces: 2 }))
+    .then(() => manifestLocation);
+}
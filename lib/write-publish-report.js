@@ -0,0 +1,26 @@
+"use strict";
+
+const fs = require("fs-extra");
+const path = require("path");
+const log = require("npmlog");
+const output = require("@lerna/output");
+
+module.exports = writePublishReport;
+
+function writePublishReport(report, { json, reportFile, cwd }) {
+  log.silly("writePublishReport");
+
+  if (json) {
+    output(JSON.stringify(report, null, 2));
+  }
+
+  if (!reportFile) {
+    return Promise.resolve();
+  }
+
+  const reportLocation = path.resolve(cwd, reportFile);
+
+  return fs.outputJson(reportLocation, report, { spaces: 2 }).then(() => {
+    log.verbose("writePublishReport", "wrote %s", reportLocation);
+  });
+}